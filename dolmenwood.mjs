@@ -1,19 +1,58 @@
-/* global CONFIG, game, Hooks, foundry */
+/* global CONFIG, game, Hooks, foundry, ActiveEffect */
 
 import DOLMENWOOD from './module/config.js'
 import DolmenSheet from './module/dolmen-sheet.js'
+import DolmenCreatureSheet from './module/dolmen-creature-sheet.js'
 import DolmenItemSheet from './module/dolmen-item-sheet.js'
 import DolmenActor from './module/dolmen-actor.js'
 import DolmenItem from './module/dolmen-item.js'
-import { AdventurerDataModel, CreatureDataModel, ItemDataModel, TreasureDataModel, WeaponDataModel, SpellDataModel, ArmorDataModel, ForagedDataModel } from './module/data-models.mjs'
+import DolmenActiveEffect from './module/dolmen-active-effect.js'
+import DolmenActiveEffectConfig from './module/dolmen-effect-config.js'
+import { registerSettings } from './module/settings.js'
+import { rollGroupMorale, rollSelectedMorale, onRenderTokenHUD } from './module/morale.js'
+import { getDate, getCurrentMoon, formatDate } from './module/calendar.js'
+import DolmenCalendar from './module/dolmen-calendar.js'
+import { planTravel, postJourneyLog } from './module/travel.js'
+import DolmenTravel from './module/dolmen-travel.js'
+import { makeCamp, makeCampSelected } from './module/camp.js'
+import { registerTransferSocket } from './module/transfer.js'
+import { applyDamage, onRenderChatMessageHTML } from './module/damage.js'
+import { DolmenCombat, DolmenCombatant } from './module/dolmen-combat.js'
+import { AdventurerDataModel, CreatureDataModel, GearDataModel, TreasureDataModel, WeaponDataModel, SpellDataModel, ArmorDataModel, ForagedDataModel, KindredDataModel, ClassDataModel } from './module/data-models.mjs'
 
 const { Actors, Items } = foundry.documents.collections
+const { DocumentSheetConfig } = foundry.applications.apps
 
 Hooks.once('init', async function () {
 	CONFIG.DOLMENWOOD = DOLMENWOOD
 
+	// Public API for macros and other features
+	game.dolmenwood = {
+		rollMorale: rollSelectedMorale,
+		rollGroupMorale,
+		makeCamp: makeCampSelected,
+		makePartyCamp: makeCamp,
+		applyDamage,
+		calendar: {
+			getDate,
+			getCurrentMoon,
+			formatDate,
+			open: () => DolmenCalendar.open()
+		},
+		travel: {
+			plan: planTravel,
+			log: postJourneyLog,
+			open: () => DolmenTravel.open()
+		}
+	}
+
+	registerSettings()
+
 	CONFIG.Actor.documentClass = DolmenActor
 	CONFIG.Item.documentClass = DolmenItem
+	CONFIG.Combat.documentClass = DolmenCombat
+	CONFIG.Combatant.documentClass = DolmenCombatant
+	CONFIG.ActiveEffect.documentClass = DolmenActiveEffect
 	
 	// Register Actor data models
 	CONFIG.Actor.dataModels = {
@@ -21,27 +60,53 @@ Hooks.once('init', async function () {
 		Creature: CreatureDataModel
 	}
 	CONFIG.Item.dataModels = {
-		Item: ItemDataModel,
+		Item: GearDataModel,
 		Treasure: TreasureDataModel,
 		Weapon: WeaponDataModel,
 		Armor: ArmorDataModel,
 		Foraged: ForagedDataModel,
-		Spell: SpellDataModel
+		Spell: SpellDataModel,
+		Kindred: KindredDataModel,
+		Class: ClassDataModel
 	}
 
 	Actors.registerSheet('dolmen', DolmenSheet, {
-		types: ['Adventurer', 'Creature'],
+		types: ['Adventurer'],
 		label: 'DOLMEN.SheetTitle',
 		makeDefault: true
 	})
 
+	Actors.registerSheet('dolmen', DolmenCreatureSheet, {
+		types: ['Creature'],
+		label: 'DOLMEN.CreatureSheetTitle',
+		makeDefault: true
+	})
+
 	Items.registerSheet('dolmen', DolmenItemSheet, {
-		types: ['Item', 'Treasure', 'Weapon', 'Armor', 'Foraged', 'Spell'],
+		types: ['Item', 'Treasure', 'Weapon', 'Armor', 'Foraged', 'Spell', 'Kindred', 'Class'],
 		label: 'DOLMEN.ItemSheetTitle',
 		makeDefault: true
 	})
+
+	DocumentSheetConfig.registerSheet(ActiveEffect, 'dolmen', DolmenActiveEffectConfig, {
+		label: 'DOLMEN.EffectSheetTitle',
+		makeDefault: true
+	})
+
+	await foundry.applications.handlebars.loadTemplates([
+		'systems/dolmenwood/templates/shared/effects-list.html'
+	])
 })
 
+Hooks.on('renderTokenHUD', onRenderTokenHUD)
+Hooks.on('renderChatMessageHTML', onRenderChatMessageHTML)
+Hooks.on('renderCombatTracker', DolmenCombat.onRenderCombatTracker)
+Hooks.on('createToken', DolmenActor.onCreateToken)
+Hooks.on('getSceneControlButtons', DolmenCalendar.onGetSceneControlButtons)
+Hooks.on('getSceneControlButtons', DolmenTravel.onGetSceneControlButtons)
+Hooks.on('updateWorldTime', DolmenCalendar.onUpdateWorldTime)
+
 Hooks.once('ready', async function () {
+	registerTransferSocket()
 	console.log(game.i18n.localize('DOLMEN.WelcomeMessage'))
 })
\ No newline at end of file
@@ -0,0 +1,112 @@
+/* global game, CONFIG */
+import { CHOICE_KEYS } from './utils/choices.js'
+
+/**
+ * Dolmenwood calendar: converts Foundry world time into a Dolmenwood date and
+ * reports the ruling moon and its phase.
+ */
+
+/**
+ * Get the number of days in a Dolmenwood year.
+ * @returns {number} Days per year
+ */
+export function getDaysPerYear() {
+	return CONFIG.DOLMENWOOD.calendar.months.reduce((sum, month) => sum + month.days, 0)
+}
+
+/**
+ * Get the moon and phase ruling a day of the year. Each moon spans a twelfth
+ * of the year: waxing, then three days full around the middle, then waning.
+ * @param {number} dayOfYear - Zero-based day of the year
+ * @returns {object} Object with moon and phase keys
+ */
+export function getMoonForDay(dayOfYear) {
+	const moons = CHOICE_KEYS.moonNames
+	const span = getDaysPerYear() / moons.length
+	const index = Math.min(Math.floor(dayOfYear / span), moons.length - 1)
+	const offset = dayOfYear + 0.5 - (index + 0.5) * span
+
+	let phase = 'full'
+	if (offset < -1.5) phase = 'waxing'
+	else if (offset > 1.5) phase = 'waning'
+	return { moon: moons[index], phase }
+}
+
+/**
+ * Convert world time into a Dolmenwood date.
+ * @param {number} [worldTime] - World time in seconds (defaults to the current world time)
+ * @returns {object} Date with year, month, day, weekday, season, holiday, moon and phase
+ */
+export function getDate(worldTime = game.time.worldTime) {
+	const { months, weekdays, holidays, secondsPerDay } = CONFIG.DOLMENWOOD.calendar
+	const daysPerYear = getDaysPerYear()
+	const totalDays = Math.floor(worldTime / secondsPerDay)
+	const year = game.settings.get('dolmenwood', 'calendarStartYear') + Math.floor(totalDays / daysPerYear)
+	const dayOfYear = ((totalDays % daysPerYear) + daysPerYear) % daysPerYear
+
+	let remaining = dayOfYear
+	let monthIndex = 0
+	while (remaining >= months[monthIndex].days) {
+		remaining -= months[monthIndex].days
+		monthIndex++
+	}
+	const month = months[monthIndex]
+	const day = remaining + 1
+
+	return {
+		year,
+		month: month.key,
+		monthIndex,
+		day,
+		dayOfYear,
+		weekday: weekdays[((totalDays % weekdays.length) + weekdays.length) % weekdays.length],
+		season: month.season,
+		holiday: holidays.find(h => h.month === month.key && h.day === day)?.key ?? null,
+		...getMoonForDay(dayOfYear)
+	}
+}
+
+/**
+ * Convert a Dolmenwood date into world time (at the start of that day).
+ * @param {object} date - The date
+ * @param {number} date.year - The year
+ * @param {number} date.monthIndex - Zero-based month index
+ * @param {number} date.day - Day of the month (1-based)
+ * @returns {number} World time in seconds
+ */
+export function dateToWorldTime({ year, monthIndex, day }) {
+	const { months, secondsPerDay } = CONFIG.DOLMENWOOD.calendar
+	const years = year - game.settings.get('dolmenwood', 'calendarStartYear')
+	const daysBeforeMonth = months.slice(0, monthIndex).reduce((sum, m) => sum + m.days, 0)
+	return (years * getDaysPerYear() + daysBeforeMonth + day - 1) * secondsPerDay
+}
+
+/**
+ * Get the moon ruling the current world date.
+ * @returns {object} Object with moon and phase keys and their localized label
+ */
+export function getCurrentMoon() {
+	const { moon, phase } = getDate()
+	return {
+		moon,
+		phase,
+		label: game.i18n.format('DOLMEN.Calendar.MoonLabel', {
+			moon: game.i18n.localize(`DOLMEN.MoonNames.${moon}`),
+			phase: game.i18n.localize(`DOLMEN.MoonPhases.${phase}`)
+		})
+	}
+}
+
+/**
+ * Format a date for display, e.g. "Hayme, 12 Symswald 1064".
+ * @param {object} date - A date from getDate
+ * @returns {string} The formatted date
+ */
+export function formatDate(date) {
+	return game.i18n.format('DOLMEN.Calendar.DateFormat', {
+		weekday: game.i18n.localize(`DOLMEN.Calendar.Weekdays.${date.weekday}`),
+		day: date.day,
+		month: game.i18n.localize(`DOLMEN.Calendar.Months.${date.month}`),
+		year: date.year
+	})
+}
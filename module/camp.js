@@ -0,0 +1,93 @@
+/* global game, canvas, ui, ChatMessage, CONST */
+
+/**
+ * Making camp and resting for one actor or a whole party, from the sheet, the travel tool or a macro.
+ */
+
+/**
+ * Rest several actors at once and post one summary card with what each ate, drank and recovered.
+ * @param {Actor[]} actors - The resting actors
+ * @param {object} [options] - Rest options
+ * @param {string} [options.type='night'] - 'night' in camp or a full 'day' of rest
+ * @returns {Promise<ChatMessage|undefined>} The created chat message
+ */
+export async function makeCamp(actors, { type = 'night' } = {}) {
+	const resting = [...new Set(actors.filter(a => a?.isOwner))]
+	if (resting.length === 0) {
+		ui.notifications.warn(game.i18n.localize('DOLMEN.Rest.NoActors'))
+		return
+	}
+
+	const rolls = []
+	let rows = ''
+	for (const actor of resting) {
+		const summary = await actor.rest({ type })
+		rolls.push(...summary.rolls)
+		rows += `
+			<div class="group-result ${summary.damage ? 'failure' : 'success'}">
+				<img src="${actor.img}" alt="${actor.name}" class="actor-icon">
+				<span class="group-name">${actor.name}</span>
+				<span class="group-target">${buildSuppliesLabel(summary)}</span>
+				<span class="roll-label">${buildHealingLabel(summary)}</span>
+			</div>`
+	}
+
+	const content = `
+		<div class="dolmen check-roll group-roll rest-roll">
+			<div class="check-header">
+				<i class="fas fa-campground"></i>
+				<div class="check-info">
+					<h3>${game.i18n.localize(`DOLMEN.Rest.Types.${type}`)}</h3>
+					<span class="check-type">${game.i18n.format('DOLMEN.Rest.Count', { count: resting.length })}</span>
+				</div>
+			</div>
+			<div class="group-results">${rows}</div>
+		</div>
+	`
+
+	return ChatMessage.create({
+		speaker: ChatMessage.getSpeaker(),
+		content,
+		rolls,
+		type: CONST.CHAT_MESSAGE_STYLES.OTHER
+	})
+}
+
+/**
+ * Describe the food and water used, or how long an actor has gone without, and spells recovered.
+ * @param {object} summary - Rest summary from DolmenActor#rest
+ * @returns {string} The supplies line
+ */
+function buildSuppliesLabel(summary) {
+	const parts = []
+	if (summary.actor.usesProvisions) {
+		parts.push(summary.food
+			? game.i18n.format('DOLMEN.Rest.Ate', { name: summary.food.name })
+			: game.i18n.format('DOLMEN.Rest.NoFood', { days: summary.hunger }))
+		parts.push(summary.water
+			? game.i18n.format('DOLMEN.Rest.Drank', { name: summary.water.name })
+			: game.i18n.format('DOLMEN.Rest.NoWater', { days: summary.thirst }))
+	}
+	if (summary.spellsRestored) parts.push(game.i18n.format('DOLMEN.Rest.SpellsRestored', { count: summary.spellsRestored }))
+	return parts.join(' &middot; ')
+}
+
+/**
+ * Describe the hit points recovered or lost.
+ * @param {object} summary - Rest summary from DolmenActor#rest
+ * @returns {string} The outcome label
+ */
+function buildHealingLabel(summary) {
+	if (summary.damage) return game.i18n.format('DOLMEN.Rest.Damage', { damage: summary.damage })
+	if (summary.hunger) return game.i18n.localize('DOLMEN.Rest.NoHealing')
+	return game.i18n.format('DOLMEN.Rest.Healed', { healed: summary.healed })
+}
+
+/**
+ * Make camp for the controlled tokens. Intended for macros (game.dolmenwood.makeCamp()).
+ * @param {object} [options] - Rest options passed to makeCamp()
+ * @returns {Promise<ChatMessage|undefined>} The created chat message
+ */
+export async function makeCampSelected(options = {}) {
+	return makeCamp(canvas.tokens.controlled.map(t => t.actor), options)
+}
@@ -1,6 +1,32 @@
+// Holy spell memorisation slots per rank, indexed by class level (1-15)
+const HOLY_SPELL_SLOTS = [
+	[1], [2], [2, 1], [2, 2], [2, 2, 1],
+	[3, 2, 2], [3, 2, 2, 1], [3, 3, 2, 2], [3, 3, 2, 2, 1], [4, 3, 3, 2, 2],
+	[4, 4, 3, 2, 2], [4, 4, 3, 3, 2], [5, 4, 3, 3, 2], [5, 4, 4, 3, 3], [5, 5, 4, 3, 3]
+]
+
+// Attack bonus by class level (1-15)
+const ATTACK_PROGRESSIONS = {
+	martial: [1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8],
+	standard: [0, 0, 1, 1, 1, 2, 2, 2, 3, 3, 3, 4, 4, 4, 5],
+	arcane: [0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3]
+}
+
+/**
+ * Turn save target rows into objects keyed by save.
+ * @param {number[][]} rows - Doom, ray, hold, blast and spell targets for each level
+ * @returns {object[]} Save targets for each level
+ */
+function saveTable(rows) {
+	return rows.map(([doom, ray, hold, blast, spell]) => ({ doom, ray, hold, blast, spell }))
+}
+
 const DOLMENWOOD = {}
 DOLMENWOOD.welcomeMessage = 'Welcome to the Dolmenwood RPG System!'
 
+// Item types that are not carried and so stay out of the inventory and encumbrance
+DOLMENWOOD.nonInventoryTypes = ['Spell', 'Kindred', 'Class']
+
 // Available extra skills that can be added to adventurers
 DOLMENWOOD.extraSkills = [
 	'detectMagic',
@@ -17,4 +43,507 @@ DOLMENWOOD.extraSkills = [
 ]
 DOLMENWOOD.maxExtraSkills = 6
 
+// Encumbrance rules per method: load capacity and speed bands (speed while load <= max)
+DOLMENWOOD.encumbrance = {
+	weight: {
+		max: 1600,
+		speeds: [{ max: 400, speed: 40 }, { max: 600, speed: 30 }, { max: 800, speed: 20 }, { max: 1600, speed: 10 }]
+	},
+	treasure: {
+		max: 1600,
+		speeds: [{ max: 400, speed: 40 }, { max: 600, speed: 30 }, { max: 800, speed: 20 }, { max: 1600, speed: 10 }]
+	},
+	slots: {
+		equipped: {
+			max: 10,
+			speeds: [{ max: 3, speed: 40 }, { max: 5, speed: 30 }, { max: 7, speed: 20 }, { max: 10, speed: 10 }]
+		},
+		stowed: {
+			max: 16,
+			speeds: [{ max: 10, speed: 40 }, { max: 12, speed: 30 }, { max: 14, speed: 20 }, { max: 16, speed: 10 }]
+		},
+		coinsPerSlot: 100
+	}
+}
+
+// Classes that memorise spells: the spell type they use and slots per rank by level (1-15)
+DOLMENWOOD.spellSlots = {
+	magician: {
+		type: 'arcane',
+		slots: [
+			[1], [2], [2, 1], [2, 2], [2, 2, 1],
+			[3, 2, 2], [3, 2, 2, 1], [3, 3, 2, 2], [3, 3, 2, 2, 1], [3, 3, 3, 2, 2],
+			[4, 3, 3, 2, 2, 1], [4, 4, 3, 3, 2, 1], [4, 4, 3, 3, 2, 2], [4, 4, 4, 3, 3, 2], [5, 4, 4, 3, 3, 2]
+		]
+	},
+	cleric: { type: 'holy', slots: HOLY_SPELL_SLOTS },
+	friar: { type: 'holy', slots: HOLY_SPELL_SLOTS }
+}
+
+// Armour class when no body armour is worn
+DOLMENWOOD.unarmouredAC = 10
+
+// Maximum speed allowed by the heaviest equipped armour bulk
+DOLMENWOOD.armorBulkSpeeds = {
+	none: 40,
+	light: 40,
+	medium: 40,
+	heavy: 30
+}
+
+// Highest level at which hit points are rolled; later levels add a flat amount
+DOLMENWOOD.hitDiceMaxLevel = 10
+
+// Class progression: hit die, flat HP after hitDiceMaxLevel, and the total XP, attack bonus
+// and save targets (doom, ray, hold, blast, spell) for each level from 1 to 15
+DOLMENWOOD.classes = {
+	bard: {
+		hitDie: '1d6',
+		hpPerLevel: 1,
+		xp: [
+			0, 1750, 3500, 7000, 14000, 28000, 56000, 105000,
+			210000, 315000, 420000, 525000, 630000, 735000, 840000
+		],
+		attack: ATTACK_PROGRESSIONS.standard,
+		saves: saveTable([
+			[13, 14, 13, 15, 15], [13, 14, 13, 15, 15], [13, 14, 13, 15, 15], [13, 14, 13, 15, 15], [12, 13, 12, 14, 14],
+			[12, 13, 12, 14, 14], [12, 13, 12, 14, 14], [12, 13, 12, 14, 14], [10, 11, 10, 12, 12], [10, 11, 10, 12, 12],
+			[10, 11, 10, 12, 12], [10, 11, 10, 12, 12], [8, 9, 8, 10, 10], [8, 9, 8, 10, 10], [8, 9, 8, 10, 10]
+		])
+	},
+	cleric: {
+		hitDie: '1d6',
+		hpPerLevel: 1,
+		xp: [
+			0, 1500, 3000, 6000, 12000, 24000, 48000, 90000,
+			180000, 270000, 360000, 450000, 540000, 630000, 720000
+		],
+		attack: ATTACK_PROGRESSIONS.standard,
+		saves: saveTable([
+			[11, 12, 13, 16, 14], [11, 12, 13, 16, 14], [11, 12, 13, 16, 14], [11, 12, 13, 16, 14], [9, 10, 11, 14, 12],
+			[9, 10, 11, 14, 12], [9, 10, 11, 14, 12], [9, 10, 11, 14, 12], [6, 7, 8, 11, 9], [6, 7, 8, 11, 9],
+			[6, 7, 8, 11, 9], [6, 7, 8, 11, 9], [3, 4, 5, 8, 6], [3, 4, 5, 8, 6], [3, 4, 5, 8, 6]
+		])
+	},
+	enchanter: {
+		hitDie: '1d6',
+		hpPerLevel: 1,
+		xp: [
+			0, 1750, 3500, 7000, 14000, 28000, 56000, 105000,
+			210000, 315000, 420000, 525000, 630000, 735000, 840000
+		],
+		attack: ATTACK_PROGRESSIONS.standard,
+		saves: saveTable([
+			[11, 12, 13, 16, 14], [11, 12, 13, 16, 14], [11, 12, 13, 16, 14], [11, 12, 13, 16, 14], [11, 12, 13, 16, 14],
+			[9, 10, 11, 14, 12], [9, 10, 11, 14, 12], [9, 10, 11, 14, 12], [9, 10, 11, 14, 12], [9, 10, 11, 14, 12],
+			[6, 7, 8, 11, 9], [6, 7, 8, 11, 9], [6, 7, 8, 11, 9], [6, 7, 8, 11, 9], [6, 7, 8, 11, 9]
+		])
+	},
+	fighter: {
+		hitDie: '1d8',
+		hpPerLevel: 2,
+		xp: [
+			0, 2000, 4000, 8000, 16000, 32000, 64000, 120000,
+			240000, 360000, 480000, 600000, 720000, 840000, 960000
+		],
+		attack: ATTACK_PROGRESSIONS.martial,
+		saves: saveTable([
+			[12, 13, 14, 15, 16], [12, 13, 14, 15, 16], [12, 13, 14, 15, 16], [10, 11, 12, 13, 14], [10, 11, 12, 13, 14],
+			[10, 11, 12, 13, 14], [8, 9, 10, 11, 12], [8, 9, 10, 11, 12], [8, 9, 10, 11, 12], [6, 7, 8, 9, 10],
+			[6, 7, 8, 9, 10], [6, 7, 8, 9, 10], [4, 5, 6, 7, 8], [4, 5, 6, 7, 8], [4, 5, 6, 7, 8]
+		])
+	},
+	friar: {
+		hitDie: '1d4',
+		hpPerLevel: 1,
+		xp: [
+			0, 1750, 3500, 7000, 14000, 28000, 56000, 105000,
+			210000, 315000, 420000, 525000, 630000, 735000, 840000
+		],
+		attack: ATTACK_PROGRESSIONS.standard,
+		saves: saveTable([
+			[11, 12, 13, 16, 14], [11, 12, 13, 16, 14], [11, 12, 13, 16, 14], [11, 12, 13, 16, 14], [9, 10, 11, 14, 12],
+			[9, 10, 11, 14, 12], [9, 10, 11, 14, 12], [9, 10, 11, 14, 12], [6, 7, 8, 11, 9], [6, 7, 8, 11, 9],
+			[6, 7, 8, 11, 9], [6, 7, 8, 11, 9], [3, 4, 5, 8, 6], [3, 4, 5, 8, 6], [3, 4, 5, 8, 6]
+		])
+	},
+	hunter: {
+		hitDie: '1d8',
+		hpPerLevel: 2,
+		xp: [
+			0, 2250, 4500, 9000, 18000, 36000, 72000, 135000,
+			270000, 405000, 540000, 675000, 810000, 945000, 1080000
+		],
+		attack: ATTACK_PROGRESSIONS.martial,
+		saves: saveTable([
+			[12, 13, 14, 15, 16], [12, 13, 14, 15, 16], [12, 13, 14, 15, 16], [10, 11, 12, 13, 14], [10, 11, 12, 13, 14],
+			[10, 11, 12, 13, 14], [8, 9, 10, 11, 12], [8, 9, 10, 11, 12], [8, 9, 10, 11, 12], [6, 7, 8, 9, 10],
+			[6, 7, 8, 9, 10], [6, 7, 8, 9, 10], [4, 5, 6, 7, 8], [4, 5, 6, 7, 8], [4, 5, 6, 7, 8]
+		])
+	},
+	knight: {
+		hitDie: '1d8',
+		hpPerLevel: 2,
+		xp: [
+			0, 2250, 4500, 9000, 18000, 36000, 72000, 135000,
+			270000, 405000, 540000, 675000, 810000, 945000, 1080000
+		],
+		attack: ATTACK_PROGRESSIONS.martial,
+		saves: saveTable([
+			[12, 13, 12, 15, 15], [12, 13, 12, 15, 15], [12, 13, 12, 15, 15], [10, 11, 10, 13, 13], [10, 11, 10, 13, 13],
+			[10, 11, 10, 13, 13], [8, 9, 8, 11, 11], [8, 9, 8, 11, 11], [8, 9, 8, 11, 11], [6, 7, 6, 9, 9],
+			[6, 7, 6, 9, 9], [6, 7, 6, 9, 9], [4, 5, 4, 7, 7], [4, 5, 4, 7, 7], [4, 5, 4, 7, 7]
+		])
+	},
+	magician: {
+		hitDie: '1d4',
+		hpPerLevel: 1,
+		xp: [
+			0, 2500, 5000, 10000, 20000, 40000, 80000, 150000,
+			300000, 450000, 600000, 750000, 900000, 1050000, 1200000
+		],
+		attack: ATTACK_PROGRESSIONS.arcane,
+		saves: saveTable([
+			[14, 14, 13, 16, 15], [14, 14, 13, 16, 15], [14, 14, 13, 16, 15], [14, 14, 13, 16, 15], [14, 14, 13, 16, 15],
+			[12, 12, 11, 14, 13], [12, 12, 11, 14, 13], [12, 12, 11, 14, 13], [12, 12, 11, 14, 13], [12, 12, 11, 14, 13],
+			[9, 9, 8, 11, 10], [9, 9, 8, 11, 10], [9, 9, 8, 11, 10], [9, 9, 8, 11, 10], [9, 9, 8, 11, 10]
+		])
+	},
+	thief: {
+		hitDie: '1d4',
+		hpPerLevel: 1,
+		xp: [
+			0, 1250, 2500, 5000, 10000, 20000, 40000, 75000,
+			150000, 225000, 300000, 375000, 450000, 525000, 600000
+		],
+		attack: ATTACK_PROGRESSIONS.standard,
+		saves: saveTable([
+			[13, 14, 13, 15, 15], [13, 14, 13, 15, 15], [13, 14, 13, 15, 15], [13, 14, 13, 15, 15], [12, 13, 12, 14, 14],
+			[12, 13, 12, 14, 14], [12, 13, 12, 14, 14], [12, 13, 12, 14, 14], [10, 11, 10, 12, 12], [10, 11, 10, 12, 12],
+			[10, 11, 10, 12, 12], [10, 11, 10, 12, 12], [8, 9, 8, 10, 10], [8, 9, 8, 10, 10], [8, 9, 8, 10, 10]
+		])
+	},
+	breggle: {
+		hitDie: '1d6',
+		hpPerLevel: 1,
+		xp: [
+			0, 2000, 4000, 8000, 16000, 32000, 64000, 120000,
+			240000, 360000, 480000, 600000, 720000, 840000, 960000
+		],
+		attack: ATTACK_PROGRESSIONS.standard,
+		saves: saveTable([
+			[12, 13, 14, 15, 15], [12, 13, 14, 15, 15], [12, 13, 14, 15, 15], [10, 11, 12, 13, 13], [10, 11, 12, 13, 13],
+			[10, 11, 12, 13, 13], [8, 9, 10, 11, 11], [8, 9, 10, 11, 11], [8, 9, 10, 11, 11], [6, 7, 8, 9, 9],
+			[6, 7, 8, 9, 9], [6, 7, 8, 9, 9], [4, 5, 6, 7, 7], [4, 5, 6, 7, 7], [4, 5, 6, 7, 7]
+		])
+	},
+	elf: {
+		hitDie: '1d6',
+		hpPerLevel: 1,
+		xp: [
+			0, 3500, 7000, 14000, 28000, 56000, 112000, 210000,
+			420000, 630000, 840000, 1050000, 1260000, 1470000, 1680000
+		],
+		attack: ATTACK_PROGRESSIONS.standard,
+		saves: saveTable([
+			[12, 13, 13, 15, 15], [12, 13, 13, 15, 15], [12, 13, 13, 15, 15], [10, 11, 11, 13, 13], [10, 11, 11, 13, 13],
+			[10, 11, 11, 13, 13], [8, 9, 9, 11, 11], [8, 9, 9, 11, 11], [8, 9, 9, 11, 11], [6, 7, 7, 9, 9],
+			[6, 7, 7, 9, 9], [6, 7, 7, 9, 9], [4, 5, 5, 7, 7], [4, 5, 5, 7, 7], [4, 5, 5, 7, 7]
+		])
+	},
+	grimalkin: {
+		hitDie: '1d6',
+		hpPerLevel: 1,
+		xp: [
+			0, 2500, 5000, 10000, 20000, 40000, 80000, 150000,
+			300000, 450000, 600000, 750000, 900000, 1050000, 1200000
+		],
+		attack: ATTACK_PROGRESSIONS.standard,
+		saves: saveTable([
+			[12, 13, 13, 15, 15], [12, 13, 13, 15, 15], [12, 13, 13, 15, 15], [10, 11, 11, 13, 13], [10, 11, 11, 13, 13],
+			[10, 11, 11, 13, 13], [8, 9, 9, 11, 11], [8, 9, 9, 11, 11], [8, 9, 9, 11, 11], [6, 7, 7, 9, 9],
+			[6, 7, 7, 9, 9], [6, 7, 7, 9, 9], [4, 5, 5, 7, 7], [4, 5, 5, 7, 7], [4, 5, 5, 7, 7]
+		])
+	},
+	mossling: {
+		hitDie: '1d6',
+		hpPerLevel: 1,
+		xp: [
+			0, 2000, 4000, 8000, 16000, 32000, 64000, 120000,
+			240000, 360000, 480000, 600000, 720000, 840000, 960000
+		],
+		attack: ATTACK_PROGRESSIONS.standard,
+		saves: saveTable([
+			[11, 12, 13, 14, 15], [11, 12, 13, 14, 15], [11, 12, 13, 14, 15], [9, 10, 11, 12, 13], [9, 10, 11, 12, 13],
+			[9, 10, 11, 12, 13], [7, 8, 9, 10, 11], [7, 8, 9, 10, 11], [7, 8, 9, 10, 11], [5, 6, 7, 8, 9],
+			[5, 6, 7, 8, 9], [5, 6, 7, 8, 9], [3, 4, 5, 6, 7], [3, 4, 5, 6, 7], [3, 4, 5, 6, 7]
+		])
+	},
+	woodgrue: {
+		hitDie: '1d6',
+		hpPerLevel: 1,
+		xp: [
+			0, 2000, 4000, 8000, 16000, 32000, 64000, 120000,
+			240000, 360000, 480000, 600000, 720000, 840000, 960000
+		],
+		attack: ATTACK_PROGRESSIONS.standard,
+		saves: saveTable([
+			[13, 14, 13, 15, 15], [13, 14, 13, 15, 15], [13, 14, 13, 15, 15], [11, 12, 11, 13, 13], [11, 12, 11, 13, 13],
+			[11, 12, 11, 13, 13], [9, 10, 9, 11, 11], [9, 10, 9, 11, 11], [9, 10, 9, 11, 11], [7, 8, 7, 9, 9],
+			[7, 8, 7, 9, 9], [7, 8, 7, 9, 9], [5, 6, 5, 7, 7], [5, 6, 5, 7, 7], [5, 6, 5, 7, 7]
+		])
+	}
+}
+
+// Extra skills each class starts with (at the default target)
+DOLMENWOOD.classSkills = {
+	bard: ['decipherDocument', 'legerdemain', 'monsterLore'],
+	enchanter: ['detectMagic'],
+	hunter: ['alertness', 'stalking', 'tracking'],
+	magician: ['detectMagic'],
+	thief: ['climbWall', 'decipherDocument', 'disarmMechanism', 'legerdemain', 'pickLock', 'stealth']
+}
+
+// Kindred traits used at character creation: languages, core skill targets,
+// and roll formulas for age and lifespan (years), height (inches) and weight (lbs).
+// A lifespan of 0 means the kindred is immortal.
+DOLMENWOOD.kindreds = {
+	breggle: { languages: ['woldish', 'gaffe'], skills: {}, age: '15 + 2d10', lifespan: '50 + 2d20', height: '64 + 2d6', weight: '120 + 6d10' },
+	elf: { languages: ['woldish', 'sylvan'], skills: { listen: 5 }, age: '50 + 5d20', lifespan: '0', height: '60 + 2d6', weight: '100 + 3d10' },
+	grimalkin: { languages: ['woldish', 'mewl'], skills: { listen: 5 }, age: '10 + 2d8', lifespan: '40 + 2d10', height: '36 + 2d6', weight: '50 + 3d10' },
+	human: { languages: ['woldish'], skills: {}, age: '15 + 2d10', lifespan: '50 + 2d20', height: '60 + 2d6', weight: '120 + 6d10' },
+	mossling: { languages: ['woldish', 'mulch'], skills: { survival: 5 }, age: '20 + 3d6', lifespan: '150 + 3d20', height: '42 + 2d6', weight: '150 + 4d10' },
+	woodgrue: { languages: ['woldish', 'mockSylvan'], skills: { listen: 5 }, age: '20 + 2d20', lifespan: '300 + 2d100', height: '36 + 2d6', weight: '60 + 3d10' }
+}
+
+// Background tables rolled at character creation (each a d6 table in the language file).
+// Common tables are shared by all kindreds; kindred tables differ per kindred.
+DOLMENWOOD.characterDetails = {
+	common: ['demeanour', 'desires', 'beliefs', 'speech', 'dress'],
+	kindred: ['head', 'face', 'body'],
+	die: 6
+}
+
+// Actor attributes offered in the active effect editor, with their labels
+DOLMENWOOD.effectKeys = {
+	'system.abilities.strength.score': 'DOLMEN.Abilities.Strength',
+	'system.abilities.intelligence.score': 'DOLMEN.Abilities.Intelligence',
+	'system.abilities.wisdom.score': 'DOLMEN.Abilities.Wisdom',
+	'system.abilities.dexterity.score': 'DOLMEN.Abilities.Dexterity',
+	'system.abilities.constitution.score': 'DOLMEN.Abilities.Constitution',
+	'system.abilities.charisma.score': 'DOLMEN.Abilities.Charisma',
+	'system.saves.doom': 'DOLMEN.Effects.Keys.SaveDoom',
+	'system.saves.ray': 'DOLMEN.Effects.Keys.SaveRay',
+	'system.saves.hold': 'DOLMEN.Effects.Keys.SaveHold',
+	'system.saves.blast': 'DOLMEN.Effects.Keys.SaveBlast',
+	'system.saves.spell': 'DOLMEN.Effects.Keys.SaveSpell',
+	'system.attack': 'DOLMEN.Combat.Attack',
+	'system.ac': 'DOLMEN.Combat.AC',
+	'system.hp.max': 'DOLMEN.Effects.Keys.MaxHP',
+	'system.speed': 'DOLMEN.Movement.Speed',
+	'system.skills.listen': 'DOLMEN.Skills.Listen',
+	'system.skills.search': 'DOLMEN.Skills.Search',
+	'system.skills.survival': 'DOLMEN.Skills.Survival',
+	'system.magicResistance': 'DOLMEN.MagicResistance',
+	'system.morale': 'DOLMEN.Creature.Morale',
+	'flags.dolmenwood.reactionModifier': 'DOLMEN.Effects.Keys.Reaction'
+}
+
+// Moon sign boons and banes: attribute changes (added to the actor) for each moon and phase.
+// Situational signs have no changes; their text is in the language file under DOLMEN.MoonSigns.
+// Save and skill targets are rolled against, so a bonus lowers them. Reaction roll modifiers
+// go to flags.dolmenwood.reactionModifier, read by DolmenActor#getReactionModifier.
+DOLMENWOOD.moonSigns = {
+	grinning: {
+		waxing: [],
+		full: [{ key: 'system.saves.doom', value: -1 }],
+		waning: [{ key: 'system.saves.hold', value: 1 }]
+	},
+	dead: {
+		waxing: [{ key: 'system.saves.ray', value: -1 }],
+		full: [],
+		waning: [{ key: 'system.saves.doom', value: 1 }]
+	},
+	beast: {
+		waxing: [{ key: 'system.skills.survival', value: -1 }],
+		full: [],
+		waning: []
+	},
+	squamous: {
+		waxing: [],
+		full: [{ key: 'system.saves.blast', value: -1 }],
+		waning: []
+	},
+	knights: {
+		waxing: [],
+		full: [{ key: 'system.saves.hold', value: -1 }],
+		waning: [{ key: 'flags.dolmenwood.reactionModifier', value: -1 }]
+	},
+	rotting: {
+		waxing: [],
+		full: [],
+		waning: [{ key: 'system.abilities.constitution.score', value: -1 }]
+	},
+	maidens: {
+		waxing: [{ key: 'flags.dolmenwood.reactionModifier', value: 1 }],
+		full: [{ key: 'system.abilities.charisma.score', value: 1 }],
+		waning: [{ key: 'flags.dolmenwood.reactionModifier', value: -1 }]
+	},
+	witch: {
+		waxing: [{ key: 'system.saves.spell', value: -1 }],
+		full: [{ key: 'system.magicResistance', value: 1 }],
+		waning: [{ key: 'system.saves.spell', value: 1 }]
+	},
+	robbers: {
+		waxing: [{ key: 'system.skills.search', value: -1 }],
+		full: [{ key: 'system.skills.listen', value: -1 }],
+		waning: []
+	},
+	goat: {
+		waxing: [{ key: 'system.saves.hold', value: -1 }],
+		full: [{ key: 'system.abilities.strength.score', value: 1 }],
+		waning: [{ key: 'system.abilities.wisdom.score', value: -1 }]
+	},
+	narrow: {
+		waxing: [{ key: 'system.skills.listen', value: -1 }],
+		full: [],
+		waning: [{ key: 'system.saves.ray', value: 1 }]
+	},
+	black: {
+		waxing: [],
+		full: [],
+		waning: [{ key: 'system.skills.listen', value: 1 }, { key: 'system.skills.search', value: 1 }]
+	}
+}
+
+// Dolmenwood calendar: months with their length and season, the days of the week,
+// and holidays by month and day. One moon rules each twelfth of the year, starting
+// with the Grinning Moon on the first of Grimvold.
+DOLMENWOOD.calendar = {
+	secondsPerDay: 86400,
+	months: [
+		{ key: 'grimvold', days: 30, season: 'winter' },
+		{ key: 'lymewald', days: 28, season: 'winter' },
+		{ key: 'haggryme', days: 30, season: 'spring' },
+		{ key: 'symswald', days: 29, season: 'spring' },
+		{ key: 'harchment', days: 29, season: 'spring' },
+		{ key: 'iggwyld', days: 30, season: 'summer' },
+		{ key: 'chysting', days: 31, season: 'summer' },
+		{ key: 'lillipythe', days: 29, season: 'summer' },
+		{ key: 'haelhold', days: 28, season: 'autumn' },
+		{ key: 'reedwryme', days: 30, season: 'autumn' },
+		{ key: 'obthryme', days: 28, season: 'autumn' },
+		{ key: 'braghold', days: 30, season: 'winter' }
+	],
+	weekdays: ['colly', 'chime', 'hayme', 'moot', 'frisk', 'eggfast', 'sunning'],
+	holidays: [
+		{ month: 'grimvold', day: 1, key: 'yearsturn' },
+		{ month: 'lymewald', day: 14, key: 'candlemoot' },
+		{ month: 'haggryme', day: 21, key: 'firstFlowering' },
+		{ month: 'harchment', day: 1, key: 'maypole' },
+		{ month: 'chysting', day: 16, key: 'midsummer' },
+		{ month: 'lillipythe', day: 29, key: 'lammasEve' },
+		{ month: 'haelhold', day: 10, key: 'harvestHome' },
+		{ month: 'obthryme', day: 28, key: 'hallowmoot' },
+		{ month: 'braghold', day: 21, key: 'longNight' }
+	]
+}
+
+// Overland travel: travel points (TP) spent to enter a hex of each Dolmenwood terrain
+// type, weather that slows the party, and the speed that buys one TP a day.
+DOLMENWOOD.travel = {
+	terrain: {
+		farmland: 2,
+		fungalForest: 2,
+		hills: 2,
+		meadow: 2,
+		openForest: 2,
+		bog: 3,
+		hillyForest: 3,
+		tangledForest: 3,
+		boggyForest: 4,
+		craggyForest: 4,
+		swamp: 4,
+		thornyForest: 4
+	},
+	weather: {
+		fair: 1,
+		poorVisibility: 1,
+		impeded: 0.5,
+		severe: 0
+	},
+	speedPerTravelPoint: 5
+}
+
+// Foraging, hunting and fishing finds. A successful Survival check rolls a d6 against
+// each find's availability (lower is rarer) among those in season, then the quantity
+// in rations. Seasons are listed when a find is not available all year.
+DOLMENWOOD.foraging = {
+	activities: ['foraging', 'hunting', 'fishing'],
+	table: [
+		{ key: 'berries', activity: 'foraging', type: 'plant', availability: 5, quantity: '1d6', seasons: ['summer', 'autumn'] },
+		{ key: 'nuts', activity: 'foraging', type: 'plant', availability: 4, quantity: '1d6', seasons: ['autumn'] },
+		{ key: 'greens', activity: 'foraging', type: 'plant', availability: 5, quantity: '1d4', seasons: ['spring', 'summer'] },
+		{ key: 'roots', activity: 'foraging', type: 'plant', availability: 3, quantity: '1d4' },
+		{ key: 'mushrooms', activity: 'foraging', type: 'fungus', availability: 4, quantity: '1d6', seasons: ['spring', 'autumn'] },
+		{ key: 'bracketFungus', activity: 'foraging', type: 'fungus', availability: 2, quantity: '1d3' },
+		{ key: 'wildPipeleaf', activity: 'foraging', type: 'pipeleaf', availability: 1, quantity: '1d3', seasons: ['summer', 'autumn'] },
+		{ key: 'smallGame', activity: 'hunting', type: 'game', availability: 5, quantity: '1d4' },
+		{ key: 'fowl', activity: 'hunting', type: 'game', availability: 4, quantity: '1d3', seasons: ['spring', 'summer', 'autumn'] },
+		{ key: 'deer', activity: 'hunting', type: 'game', availability: 2, quantity: '2d6' },
+		{ key: 'boar', activity: 'hunting', type: 'game', availability: 1, quantity: '3d6' },
+		{ key: 'riverFish', activity: 'fishing', type: 'fish', availability: 5, quantity: '1d4', seasons: ['spring', 'summer', 'autumn'] },
+		{ key: 'eels', activity: 'fishing', type: 'fish', availability: 3, quantity: '1d3' },
+		{ key: 'pike', activity: 'fishing', type: 'fish', availability: 2, quantity: '1d6' }
+	]
+}
+
+// Camping and resting: hit points recovered by a night in camp or a full day of rest,
+// the Foraged types that can be eaten as rations, the changes applied for each day
+// without food, and the damage taken for each day without water. Characters go
+// without healing while hungry or thirsty.
+DOLMENWOOD.rest = {
+	healing: {
+		night: '1',
+		day: '1d3'
+	},
+	foodTypes: ['plant', 'fungus', 'game', 'fish'],
+	hunger: [{ key: 'system.attack', value: -1 }],
+	thirstDamage: '1d4'
+}
+
+// Weapon qualities in combat: attack modifiers by missile range band, damage multipliers
+// for charging (charge) and receiving a charge (brace), extra damage from cold iron and
+// silver against vulnerable targets, and the creature types harmed by cold iron.
+DOLMENWOOD.combat = {
+	rangeModifiers: {
+		short: 1,
+		medium: 0,
+		long: -1
+	},
+	chargeDamageMultiplier: 2,
+	braceDamageMultiplier: 2,
+	vulnerabilityDamage: {
+		'cold-iron': 1,
+		silver: 1
+	},
+	coldIronCreatureTypes: ['fairy', 'demi-fey']
+}
+
+// Combat options offered in the attack menu. `attack` is the attack roll modifier, or
+// false when no attack is rolled; `damage` replaces the weapon's damage, or is false when
+// the option deals none; `ac` is an armour class bonus the attacker gains until the next
+// round. `attackTypes` limits an option to melee or missile attacks.
+DOLMENWOOD.combat.manoeuvres = {
+	behind: { icon: 'fa-user-ninja', attack: 2 },
+	twoWeapon: { icon: 'fa-swords', attack: -2, attackTypes: ['melee'] },
+	offHand: { icon: 'fa-hand', attack: -4, attackTypes: ['melee'] },
+	improvised: { icon: 'fa-chair', attack: -2, damage: '1d4' },
+	defensive: { icon: 'fa-shield-halved', attack: -4, ac: 2, attackTypes: ['melee'] },
+	push: { icon: 'fa-hand-back-fist', attack: 0, damage: false, attackTypes: ['melee'] },
+	trip: { icon: 'fa-person-falling', attack: 0, damage: false, attackTypes: ['melee'] },
+	disarm: { icon: 'fa-hand-holding', attack: -2, damage: false, attackTypes: ['melee'] },
+	parry: { icon: 'fa-shield', attack: false, damage: false, ac: 2, attackTypes: ['melee'] }
+}
+
 export default DOLMENWOOD
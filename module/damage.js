@@ -0,0 +1,170 @@
+/* global game, canvas, ui, ChatMessage, CONST, fromUuid, fromUuidSync */
+
+/**
+ * Applying damage and healing from attack chat cards, with an undo card for each change.
+ */
+
+/**
+ * Get the tokens targeted by the current user, with their armour class and any extra
+ * damage they take from the weapon's qualities.
+ * @param {string[]} [qualities] - The attacking weapon's qualities
+ * @returns {object[]} Targets with token uuid, name, image, AC and vulnerability damage
+ */
+export function getAttackTargets(qualities = []) {
+	return Array.from(game.user.targets)
+		.filter(token => token.actor)
+		.map(token => ({
+			uuid: token.document.uuid,
+			name: token.name,
+			img: token.document.texture.src,
+			ac: token.actor.system.ac,
+			vulnerability: token.actor.getVulnerabilityDamage(qualities)
+		}))
+}
+
+/**
+ * Build the target list of an attack card, marking hits and misses when an attack was rolled.
+ * @param {object[]} targets - Targets from getAttackTargets()
+ * @param {object} [options] - Card options
+ * @param {number} [options.attackTotal] - The attack roll total, if an attack was rolled
+ * @param {string} [options.resultClass] - 'critical' or 'fumble' for natural 20 or 1
+ * @param {number} [options.damage] - The damage total, if damage was rolled
+ * @param {string[]} [options.qualities] - The weapon's qualities, checked against vulnerabilities when applied
+ * @returns {string} HTML for the targets section
+ */
+export function buildTargetsHtml(targets, { attackTotal, resultClass = '', damage, qualities = [] } = {}) {
+	const buttons = damage === undefined ? '' : buildDamageButtons(damage, qualities)
+	if (targets.length === 0) {
+		return buttons ? `<div class="attack-targets"><div class="attack-target selected-target" data-target="controlled"><span class="target-name">${game.i18n.localize('DOLMEN.Damage.SelectedTokens')}</span>${buttons}</div></div>` : ''
+	}
+
+	const rows = targets.map(target => {
+		let outcome = ''
+		if (attackTotal !== undefined) {
+			// A natural 20 always hits and a natural 1 always misses
+			const hit = resultClass === 'critical' || (resultClass !== 'fumble' && attackTotal >= target.ac)
+			outcome = `<span class="target-outcome ${hit ? 'hit' : 'miss'}">${game.i18n.localize(hit ? 'DOLMEN.Damage.Hit' : 'DOLMEN.Damage.Miss')}</span>`
+		}
+		return `
+			<div class="attack-target" data-token-uuid="${target.uuid}">
+				<img src="${target.img}" alt="${target.name}" class="target-icon">
+				<span class="target-name">${target.name}</span>
+				<span class="target-ac">${game.i18n.format('DOLMEN.Damage.AC', { ac: target.ac })}</span>
+				${target.vulnerability ? `<span class="target-vulnerable">${game.i18n.format('DOLMEN.Damage.Vulnerable', { damage: target.vulnerability })}</span>` : ''}
+				${outcome}
+				${buttons}
+			</div>`
+	}).join('')
+	return `<div class="attack-targets">${rows}</div>`
+}
+
+/**
+ * Build the apply damage, apply half and heal buttons for an amount.
+ * @param {number} amount - The rolled damage
+ * @param {string[]} qualities - The weapon's qualities
+ * @returns {string} HTML for the buttons
+ */
+function buildDamageButtons(amount, qualities) {
+	const button = (multiplier, icon, label) => `
+		<button type="button" class="apply-damage" data-amount="${amount}" data-multiplier="${multiplier}" data-qualities="${qualities.join(',')}" title="${game.i18n.localize(label)}">
+			<i class="fas ${icon}"></i>
+		</button>`
+	return `
+		<span class="damage-buttons">
+			${button(1, 'fa-heart-crack', 'DOLMEN.Damage.Apply')}
+			${button(0.5, 'fa-heart-half-stroke', 'DOLMEN.Damage.ApplyHalf')}
+			${button(-1, 'fa-heart-circle-plus', 'DOLMEN.Damage.Heal')}
+		</span>`
+}
+
+/**
+ * Change an actor's hit points by an amount of damage (negative amounts heal), and post
+ * a card to the user who applied it with a button to undo the change.
+ * @param {Actor} actor - The damaged or healed actor
+ * @param {number} amount - Damage to apply; negative to heal
+ * @returns {Promise<number|undefined>} The new hit point value
+ */
+export async function applyDamage(actor, amount) {
+	if (!actor.isOwner) {
+		ui.notifications.warn(game.i18n.format('DOLMEN.Damage.NotOwner', { name: actor.name }))
+		return
+	}
+
+	const hp = actor.system.hp
+	const value = Math.clamp(hp.value - amount, 0, Math.max(hp.max, hp.value))
+	if (value === hp.value) return value
+	await actor.update({ 'system.hp.value': value })
+
+	const key = amount >= 0 ? 'DOLMEN.Damage.Applied' : 'DOLMEN.Damage.Healed'
+	await ChatMessage.create({
+		speaker: ChatMessage.getSpeaker(),
+		whisper: [game.user.id],
+		content: `
+			<div class="dolmen damage-applied">
+				<span>${game.i18n.format(key, { name: actor.name, amount: Math.abs(amount), from: hp.value, to: value })}</span>
+				<button type="button" class="undo-damage" data-actor-uuid="${actor.uuid}" data-change="${value - hp.value}">
+					<i class="fas fa-rotate-left"></i> ${game.i18n.localize('DOLMEN.Damage.Undo')}
+				</button>
+			</div>`,
+		type: CONST.CHAT_MESSAGE_STYLES.OTHER
+	})
+	return value
+}
+
+/**
+ * Apply the damage of a button on an attack card to its target row, or to the controlled tokens.
+ * Damage (not healing) includes the extra damage of cold iron or silver against vulnerable targets.
+ * @param {HTMLButtonElement} button - The clicked button
+ */
+async function onApplyDamage(button) {
+	const multiplier = Number(button.dataset.multiplier)
+	const qualities = button.dataset.qualities ? button.dataset.qualities.split(',') : []
+	const row = button.closest('.attack-target')
+	const actors = row?.dataset.tokenUuid
+		? [fromUuidSync(row.dataset.tokenUuid)?.actor]
+		: canvas.tokens.controlled.map(t => t.actor)
+
+	const targets = actors.filter(a => a)
+	if (targets.length === 0) {
+		ui.notifications.warn(game.i18n.localize('DOLMEN.Damage.NoTargets'))
+		return
+	}
+	for (const actor of targets) {
+		const vulnerability = multiplier > 0 ? actor.getVulnerabilityDamage(qualities) : 0
+		await applyDamage(actor, Math.floor((Number(button.dataset.amount) + vulnerability) * multiplier))
+	}
+}
+
+/**
+ * Reverse the hit point change recorded on an undo button, keeping any damage or healing
+ * applied since. The message is flagged as undone so the change is only reversed once.
+ * @param {ChatMessage} message - The undo card
+ * @param {HTMLButtonElement} button - The clicked button
+ */
+async function onUndoDamage(message, button) {
+	if (message.getFlag('dolmenwood', 'undone')) return
+	const actor = await fromUuid(button.dataset.actorUuid)
+	if (!actor?.isOwner) return
+	button.disabled = true
+	await message.setFlag('dolmenwood', 'undone', true)
+	const hp = actor.system.hp
+	const value = Math.clamp(hp.value - Number(button.dataset.change), 0, Math.max(hp.max, hp.value))
+	await actor.update({ 'system.hp.value': value })
+	ui.notifications.info(game.i18n.format('DOLMEN.Damage.Undone', { name: actor.name }))
+}
+
+/**
+ * Wire up the damage and undo buttons of rendered chat messages.
+ * @param {ChatMessage} message - The rendered message
+ * @param {HTMLElement} html - The message element
+ */
+export function onRenderChatMessageHTML(message, html) {
+	for (const button of html.querySelectorAll('.dolmen .apply-damage')) {
+		button.addEventListener('click', () => onApplyDamage(button))
+	}
+	const undone = !!message.getFlag('dolmenwood', 'undone')
+	for (const button of html.querySelectorAll('.dolmen .undo-damage')) {
+		button.disabled = undone
+		button.addEventListener('click', () => onUndoDamage(message, button))
+	}
+}
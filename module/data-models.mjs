@@ -1,4 +1,4 @@
-/* global foundry */
+/* global foundry, CONFIG */
 const { ArrayField, HTMLField, NumberField, SchemaField, StringField } = foundry.data.fields
 
 /* -------------------------------------------- */
@@ -85,6 +85,9 @@ class ActorDataModel extends foundry.abstract.TypeDataModel {
 			// Speed in feet per round
 			speed: new NumberField({ required: true, integer: true, min: 0, initial: 40 }),
 
+			// Morale (2-12, checked with 2d6) - used by creatures and retainers
+			morale: new NumberField({ required: true, integer: true, min: 2, max: 12, initial: 7 }),
+
 			// Size: small, medium, large
 			size: new StringField({
 				required: true,
@@ -143,8 +146,87 @@ export class AdventurerDataModel extends ActorDataModel {
 			ability.mod = AdventurerDataModel.computeModifier(ability.score)
 		}
 
-		// Derive creature type from kindred
-		this.creatureType = AdventurerDataModel.getCreatureTypeForKindred(this.kindred)
+		// Derive creature type from the kindred item, or the built-in kindred
+		const kindredItem = this.parent?.items?.find(i => i.type === 'Kindred')
+		this.creatureType = kindredItem?.system.creatureType ?? AdventurerDataModel.getCreatureTypeForKindred(this.kindred)
+
+		this._prepareArmor()
+		this._prepareEncumbrance()
+	}
+
+	/**
+	 * Derive armour class from the best equipped body armour, any shield and the
+	 * Dexterity modifier, unless a manual override is set. Also records the
+	 * heaviest equipped bulk and whether any worn armour doesn't fit the wearer.
+	 */
+	_prepareArmor() {
+		const bulkOrder = ['none', 'light', 'medium', 'heavy']
+		const equipped = this.parent?.items?.filter(i => i.type === 'Armor' && i.system.equipped) ?? []
+		const bodyArmor = equipped.filter(i => !i.system.shield)
+		const shields = equipped.filter(i => i.system.shield)
+
+		this.armorBulk = equipped.reduce((heaviest, i) => {
+			return bulkOrder.indexOf(i.system.bulk) > bulkOrder.indexOf(heaviest) ? i.system.bulk : heaviest
+		}, 'none')
+		this.armorFitMismatch = bodyArmor.some(i => i.system.fit !== this.size)
+
+		if (this.acOverride !== null && this.acOverride !== undefined) {
+			this.ac = this.acOverride
+			return
+		}
+		// Active effects on AC are applied before derivation, so carry their change over
+		const effectBonus = this.ac - this._source.ac
+		const armorAC = Math.max(CONFIG.DOLMENWOOD.unarmouredAC, ...bodyArmor.map(i => i.system.ac))
+		const shieldBonus = Math.max(0, ...shields.map(i => i.system.ac))
+		this.ac = armorAC + shieldBonus + this.abilities.dexterity.mod + effectBonus
+	}
+
+	/**
+	 * Get the speed allowed by a load, using a list of speed bands.
+	 * @param {number} load - The carried load
+	 * @param {object[]} bands - Speed bands ({ max, speed }) in ascending order
+	 * @returns {number} Speed in feet per round (0 if over every band)
+	 */
+	static getSpeedForLoad(load, bands) {
+		return bands.find(band => load <= band.max)?.speed ?? 0
+	}
+
+	/**
+	 * Compute current load, capacity and encumbered speed from embedded items and coins,
+	 * according to the selected encumbrance method.
+	 */
+	_prepareEncumbrance() {
+		const rules = CONFIG.DOLMENWOOD.encumbrance
+		const encumbrance = this.encumbrance
+		const items = this.parent?.items?.filter(i => !CONFIG.DOLMENWOOD.nonInventoryTypes.includes(i.type)) ?? []
+		const totalCoins = Object.values(this.coins).reduce((sum, n) => sum + n, 0)
+		let encumbranceSpeed
+
+		if (encumbrance.method === 'slots') {
+			const slotsOf = (list) => list.reduce((sum, i) => sum + (i.system.weightSlots || 0) * (i.system.quantity || 1), 0)
+			encumbrance.equipped = slotsOf(items.filter(i => i.system.equipped))
+			encumbrance.stowed = slotsOf(items.filter(i => !i.system.equipped)) + Math.ceil(totalCoins / rules.slots.coinsPerSlot)
+			encumbrance.current = encumbrance.equipped + encumbrance.stowed
+			encumbrance.max = rules.slots.equipped.max + rules.slots.stowed.max
+			encumbrance.overloaded = encumbrance.equipped > rules.slots.equipped.max || encumbrance.stowed > rules.slots.stowed.max
+			encumbranceSpeed = Math.min(
+				AdventurerDataModel.getSpeedForLoad(encumbrance.equipped, rules.slots.equipped.speeds),
+				AdventurerDataModel.getSpeedForLoad(encumbrance.stowed, rules.slots.stowed.speeds)
+			)
+		} else {
+			// The treasure method only counts coins and treasure; armour accounts for the rest
+			const counted = encumbrance.method === 'treasure' ? items.filter(i => i.type === 'Treasure') : items
+			const method = rules[encumbrance.method]
+			encumbrance.current = Math.ceil(counted.reduce((sum, i) => sum + (i.system.weightCoins || 0) * (i.system.quantity || 1), 0) + totalCoins)
+			encumbrance.max = method.max
+			encumbrance.overloaded = encumbrance.current > method.max
+			encumbranceSpeed = AdventurerDataModel.getSpeedForLoad(encumbrance.current, method.speeds)
+		}
+
+		// Speed after encumbrance and armour bulk; the stored speed stays the unencumbered base
+		const armorSpeed = CONFIG.DOLMENWOOD.armorBulkSpeeds[this.armorBulk] ?? this.speed
+		encumbrance.speed = Math.min(this.speed, encumbranceSpeed, armorSpeed)
+		encumbrance.penalty = this.speed - encumbrance.speed
 	}
 
 	static defineSchema() {
@@ -177,13 +259,15 @@ export class AdventurerDataModel extends ActorDataModel {
 				modifier: new NumberField({ required: true, integer: true, min: -20, max: 20, initial: 0 })
 			}),
 
+			// Manual armour class override (null derives AC from equipped armour)
+			acOverride: new NumberField({ required: false, integer: true, min: 0, nullable: true, initial: null }),
+
 			// Magic Resistance (from Wisdom and Kindred)
 			magicResistance: new NumberField({ required: true, integer: true, initial: 0 }),
 
 			// Movement speeds
 			movement: new SchemaField({
-				exploring: new NumberField({ required: true, integer: true, min: 0, initial: 120 }), // feet per turn
-				overland: new NumberField({ required: true, integer: true, min: 0, initial: 24 }) // travel points per day
+				exploring: new NumberField({ required: true, integer: true, min: 0, initial: 120 }) // feet per turn
 			}),
 
 			// Skill Targets (roll d6, meet or exceed target)
@@ -208,6 +292,9 @@ export class AdventurerDataModel extends ActorDataModel {
 			// Affiliation
 			affiliation: new StringField({ required: true, blank: true }),
 
+			// Retainers (hirelings) make morale checks like creatures
+			retainer: new foundry.data.fields.BooleanField({ required: true, initial: false }),
+
 			// Moon Sign
 			moonName: new StringField({
 				required: true,
@@ -305,9 +392,6 @@ export class CreatureDataModel extends ActorDataModel {
 			// HP dice (e.g., "2d8")
 			hpDice: new StringField({ required: true, blank: false, initial: "1d8" }),
 
-			// Morale (2-12, checked with 2d6)
-			morale: new NumberField({ required: true, integer: true, min: 2, max: 12, initial: 7 }),
-
 			// XP Award for defeating
 			xpAward: new NumberField({ required: true, integer: true, min: 0, initial: 10 }),
 
@@ -327,6 +411,28 @@ export class CreatureDataModel extends ActorDataModel {
 			// Treasure/Hoard type
 			treasureType: new StringField({ required: true, blank: true }),
 
+			// Natural attacks made together each round (e.g. 2 claws and a bite), with any
+			// special effect on a hit and the save that resists it
+			attacks: new ArrayField(new SchemaField({
+				name: new StringField({ required: true, blank: true }),
+				count: new NumberField({ required: true, integer: true, min: 1, initial: 1 }),
+				type: new StringField({ required: true, blank: false, initial: "melee", choices: ["melee", "missile"] }),
+				damage: new StringField({ required: true, blank: true, initial: "1d6" }),
+				effect: new StringField({ required: true, blank: true }),
+				save: new StringField({
+					required: true,
+					blank: false,
+					initial: "none",
+					choices: ["none", "doom", "ray", "hold", "blast", "spell"]
+				})
+			}), { initial: [] }),
+
+			// Weapon materials that deal extra damage to this creature
+			vulnerabilities: new SchemaField({
+				"cold-iron": new foundry.data.fields.BooleanField({ required: true, initial: false }),
+				silver: new foundry.data.fields.BooleanField({ required: true, initial: false })
+			}),
+
 			// Description / lore
 			description: new HTMLField({ required: true, blank: true }),
 
@@ -372,6 +478,21 @@ export class ItemDataModel extends foundry.abstract.TypeDataModel {
 	}
 }
 
+export class GearDataModel extends ItemDataModel {
+	static defineSchema() {
+		return {
+			...super.defineSchema(),
+			// Supplies used up when making camp (quantity counts days' worth)
+			provision: new StringField({
+				required: true,
+				blank: false,
+				initial: "none",
+				choices: ["none", "food", "water"]
+			})
+		}
+	}
+}
+
 export class TreasureDataModel extends ItemDataModel {}
 
 export class WeaponDataModel extends ItemDataModel {
@@ -412,6 +533,11 @@ export class WeaponDataModel extends ItemDataModel {
 				integer: true,
 				min: 0,
 				initial: 0
+			}),
+			// Whether a weapon with the reload quality is ready to fire
+			loaded: new foundry.data.fields.BooleanField({
+				required: true,
+				initial: true
 			})
 		}
 	}
@@ -438,6 +564,11 @@ export class ArmorDataModel extends ItemDataModel {
 				initial: "medium",
 				choices: ["small", "medium", "large"]
 			}),
+			// Shields add their AC as a bonus on top of body armour
+			shield: new foundry.data.fields.BooleanField({
+				required: true,
+				initial: false
+			}),
 		}
 	}
 }
@@ -450,7 +581,7 @@ export class ForagedDataModel extends ItemDataModel {
 				required: true,
 				blank: false,
 				initial: "plant",
-				choices: ["plant", "fungus", "pipeleaf"]
+				choices: ["plant", "fungus", "pipeleaf", "game", "fish"]
 			}),
 			availability: new NumberField({
 				required: true,
@@ -472,7 +603,90 @@ export class SpellDataModel extends ItemDataModel {
 				blank: false,
 				initial: "glamour",
 				choices: ["arcane", "glamour", "rune", "holy", "knack"]
+			}),
+			rank: new NumberField({
+				required: true,
+				integer: true,
+				min: 1,
+				max: 6,
+				initial: 1
+			}),
+			range: new StringField({ required: true, blank: true }),
+			duration: new StringField({ required: true, blank: true }),
+			// Area of effect or number of targets
+			area: new StringField({ required: true, blank: true }),
+			// Save allowed against the spell (one of the actor save keys)
+			save: new StringField({
+				required: true,
+				blank: false,
+				initial: "none",
+				choices: ["none", "doom", "ray", "hold", "blast", "spell"]
+			}),
+			description: new HTMLField({ required: true, blank: true }),
+			// Memorisation state (arcane and holy spells)
+			memorized: new foundry.data.fields.BooleanField({
+				required: true,
+				initial: false
+			}),
+			expended: new foundry.data.fields.BooleanField({
+				required: true,
+				initial: false
 			})
 		}
 	}
+
+	/** @override */
+	static migrateData(source) {
+		// Spell text used to be kept in the generic item notes
+		if (source.notes && !source.description) source.description = source.notes
+		return super.migrateData(source)
+	}
 }
+
+/**
+ * Shared schema for Kindred and Class items: the traits they describe and the
+ * grants applied to an adventurer when the item is added to the sheet.
+ */
+class TraitDataModel extends foundry.abstract.TypeDataModel {
+	static defineSchema() {
+		return {
+			// Built-in kindred or class key this item stands for (blank for homebrew)
+			identifier: new StringField({ required: true, blank: true }),
+			traits: new HTMLField({ required: true, blank: true }),
+			languages: new ArrayField(new StringField({ blank: false }), { initial: [] }),
+			extraSkills: new ArrayField(new SchemaField({
+				id: new StringField({ required: true, blank: false }),
+				target: new NumberField({ required: true, integer: true, min: 2, max: 6, initial: 6 })
+			}), { initial: [] }),
+			magicResistance: new NumberField({ required: true, integer: true, initial: 0 }),
+			// Added to the core skill targets (negative values improve them)
+			skillAdjustments: new SchemaField({
+				listen: new NumberField({ required: true, integer: true, initial: 0 }),
+				search: new NumberField({ required: true, integer: true, initial: 0 }),
+				survival: new NumberField({ required: true, integer: true, initial: 0 })
+			})
+		}
+	}
+}
+
+export class KindredDataModel extends TraitDataModel {
+	static defineSchema() {
+		return {
+			...super.defineSchema(),
+			creatureType: new StringField({
+				required: true,
+				blank: false,
+				initial: "mortal",
+				choices: ["demi-fey", "fairy", "mortal"]
+			}),
+			size: new StringField({
+				required: true,
+				blank: false,
+				initial: "medium",
+				choices: ["small", "medium", "large"]
+			})
+		}
+	}
+}
+
+export class ClassDataModel extends TraitDataModel {}
@@ -0,0 +1,15 @@
+/* global ActiveEffect, Item */
+class DolmenActiveEffect extends ActiveEffect {
+
+	/**
+	 * Effects on carried items only apply while the item is equipped. Items
+	 * without an equipped state (spells, kindreds, classes) always apply.
+	 * @override
+	 */
+	get isSuppressed() {
+		const item = this.parent
+		if (!(item instanceof Item)) return false
+		return item.system.equipped === false
+	}
+}
+export default DolmenActiveEffect
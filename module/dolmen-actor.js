@@ -1,5 +1,986 @@
-/*global Actor */
+/* global Actor, game, Roll, ChatMessage, CONST, CONFIG, ui, foundry */
+import { buildFormula, buildCheckChatHtml } from './utils/rolls.js'
+import { CHOICE_KEYS } from './utils/choices.js'
+import { getDate } from './calendar.js'
+import { getAttackTargets, buildTargetsHtml } from './damage.js'
+
+const TextEditor = foundry.applications.ux.TextEditor
+
 class DolmenActor extends Actor {
 
+	/* -------------------------------------------- */
+	/*  Saving Throws                               */
+	/* -------------------------------------------- */
+
+	/**
+	 * Roll a saving throw (d20, meet or exceed the save target).
+	 * Magic resistance is added automatically to Spell saves.
+	 * @param {string} saveKey - One of 'doom', 'ray', 'hold', 'blast' or 'spell'
+	 * @param {object} [options] - Roll options
+	 * @param {number} [options.modifier=0] - Situational modifier
+	 * @returns {Promise<ChatMessage>} The created chat message
+	 */
+	async rollSave(saveKey, { modifier = 0 } = {}) {
+		const target = this.system.saves[saveKey]
+		const magicResistance = saveKey === 'spell' ? (this.system.magicResistance || 0) : 0
+		const formula = buildFormula('1d20', [magicResistance, modifier])
+
+		const roll = new Roll(formula)
+		await roll.evaluate()
+
+		const notes = magicResistance
+			? `<span class="check-note">${game.i18n.localize('DOLMEN.MagicResistance')}: ${magicResistance > 0 ? '+' : ''}${magicResistance}</span>`
+			: ''
+
+		const content = buildCheckChatHtml({
+			actor: this,
+			title: game.i18n.localize(`DOLMEN.Saves.${saveKey.capitalize()}`),
+			subtitle: game.i18n.localize('DOLMEN.Saves.SavingThrow'),
+			anchor: await roll.toAnchor({ classes: ['save-inline-roll'] }),
+			formula,
+			target,
+			success: roll.total >= target,
+			cssClass: 'save-roll',
+			notes
+		})
+
+		return ChatMessage.create({
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			content,
+			rolls: [roll],
+			type: CONST.CHAT_MESSAGE_STYLES.OTHER
+		})
+	}
+
+	/* -------------------------------------------- */
+	/*  Skill Checks                                */
+	/* -------------------------------------------- */
+
+	/**
+	 * Get the target for a skill, either a core skill or an extra skill.
+	 * @param {string} skillId - The skill id (e.g., 'listen' or 'pickLock')
+	 * @returns {number|undefined} The skill target, if the actor has the skill
+	 */
+	getSkillTarget(skillId) {
+		if (skillId in (this.system.skills || {})) return this.system.skills[skillId]
+		return this.system.extraSkills?.find(s => s.id === skillId)?.target
+	}
+
+	/**
+	 * Get the localized label for a skill.
+	 * @param {string} skillId - The skill id
+	 * @returns {string} The localized skill name
+	 */
+	static getSkillLabel(skillId) {
+		const isCoreSkill = ['listen', 'search', 'survival'].includes(skillId)
+		return game.i18n.localize(`DOLMEN.Skills.${isCoreSkill ? skillId.capitalize() : skillId}`)
+	}
+
+	/**
+	 * Roll a skill check (d6, meet or exceed the skill target).
+	 * When the blindSkillChecks setting is enabled, the result is only shown to the GM.
+	 * @param {string} skillId - The skill id
+	 * @param {object} [options] - Roll options
+	 * @param {number} [options.modifier=0] - Situational modifier
+	 * @param {boolean} [options.blind] - Roll blind to the GM (defaults to the world setting)
+	 * @returns {Promise<ChatMessage>} The created chat message
+	 */
+	async rollSkill(skillId, { modifier = 0, blind = game.settings.get('dolmenwood', 'blindSkillChecks') } = {}) {
+		const target = this.getSkillTarget(skillId)
+		if (target === undefined) return null
+
+		const formula = buildFormula('1d6', [modifier])
+		const roll = new Roll(formula)
+		await roll.evaluate()
+
+		const content = buildCheckChatHtml({
+			actor: this,
+			title: DolmenActor.getSkillLabel(skillId),
+			subtitle: game.i18n.localize('DOLMEN.Skills.SkillCheck'),
+			anchor: await roll.toAnchor({ classes: ['skill-inline-roll'] }),
+			formula,
+			target,
+			success: roll.total >= target,
+			cssClass: 'skill-roll'
+		})
+
+		const messageData = {
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			content,
+			rolls: [roll],
+			type: CONST.CHAT_MESSAGE_STYLES.OTHER
+		}
+		if (blind) ChatMessage.applyRollMode(messageData, CONST.DICE_ROLL_MODES.BLIND)
+
+		return ChatMessage.create(messageData)
+	}
+
+	/* -------------------------------------------- */
+	/*  Hit Points                                  */
+	/* -------------------------------------------- */
+
+	/**
+	 * Set a creature's hit points from its hit dice.
+	 * @param {object} [options] - Options
+	 * @param {string} [options.mode='roll'] - 'roll' the dice or take the 'average'
+	 * @returns {Promise<number|undefined>} The new maximum HP, if it could be determined
+	 */
+	async rollHitPoints({ mode = 'roll' } = {}) {
+		const formula = this.system.hpDice
+		if (!formula || !Roll.validate(formula)) return
+
+		let hp
+		if (mode === 'average') {
+			const min = new Roll(formula).evaluateSync({ minimize: true }).total
+			const max = new Roll(formula).evaluateSync({ maximize: true }).total
+			hp = Math.floor((min + max) / 2)
+		} else {
+			hp = (await new Roll(formula).evaluate()).total
+		}
+
+		hp = Math.max(1, hp)
+		await this.update({ 'system.hp.value': hp, 'system.hp.max': hp })
+		return hp
+	}
+
+	/**
+	 * Give each unlinked creature token its own hit points when placed on a scene,
+	 * according to the creatureHitPoints setting.
+	 * @param {TokenDocument} tokenDoc - The created token
+	 * @param {object} _options - Creation options
+	 * @param {string} userId - The id of the creating user
+	 */
+	static async onCreateToken(tokenDoc, _options, userId) {
+		if (userId !== game.user.id) return
+		if (tokenDoc.actorLink || tokenDoc.actor?.type !== 'Creature') return
+
+		const mode = game.settings.get('dolmenwood', 'creatureHitPoints')
+		if (mode === 'keep') return
+		await tokenDoc.actor.rollHitPoints({ mode })
+	}
+
+	/* -------------------------------------------- */
+	/*  Weapon Vulnerabilities                      */
+	/* -------------------------------------------- */
+
+	/**
+	 * Get the extra damage this actor takes from a weapon's cold iron and silver qualities.
+	 * Creatures record their vulnerabilities; fairy and demi-fey adventurers are harmed by cold iron.
+	 * @param {string[]} qualities - The weapon's qualities
+	 * @returns {number} Extra damage per hit
+	 */
+	getVulnerabilityDamage(qualities = []) {
+		const { vulnerabilityDamage, coldIronCreatureTypes } = CONFIG.DOLMENWOOD.combat
+		const vulnerabilities = { ...this.system.vulnerabilities }
+		if (coldIronCreatureTypes.includes(this.system.creatureType)) vulnerabilities['cold-iron'] = true
+
+		return Object.entries(vulnerabilityDamage)
+			.filter(([quality]) => vulnerabilities[quality] && qualities.includes(quality))
+			.reduce((sum, [, damage]) => sum + damage, 0)
+	}
+
+	/* -------------------------------------------- */
+	/*  Morale                                      */
+	/* -------------------------------------------- */
+
+	/**
+	 * Whether this actor makes morale checks (creatures and retainers).
+	 * @returns {boolean}
+	 */
+	get hasMorale() {
+		return this.type === 'Creature' || !!this.system.retainer
+	}
+
+	/**
+	 * Evaluate a morale roll without posting it (2d6, fleeing if the roll exceeds morale).
+	 * @param {object} [options] - Roll options
+	 * @param {number} [options.modifier=0] - Situational modifier
+	 * @returns {Promise<object>} Object with the evaluated roll, formula and standsFirm flag
+	 */
+	async evaluateMorale({ modifier = 0 } = {}) {
+		const formula = buildFormula('2d6', [modifier])
+		const roll = new Roll(formula)
+		await roll.evaluate()
+		return { roll, formula, standsFirm: roll.total <= this.system.morale }
+	}
+
+	/**
+	 * Roll a morale check and post a "stands firm / flees" chat card.
+	 * @param {object} [options] - Roll options
+	 * @param {number} [options.modifier=0] - Situational modifier
+	 * @returns {Promise<ChatMessage>} The created chat message
+	 */
+	async rollMorale({ modifier = 0 } = {}) {
+		const morale = this.system.morale
+		const { roll, formula, standsFirm } = await this.evaluateMorale({ modifier })
+
+		const content = buildCheckChatHtml({
+			actor: this,
+			title: this.name,
+			subtitle: game.i18n.localize('DOLMEN.Morale.Check'),
+			anchor: await roll.toAnchor({ classes: ['morale-inline-roll'] }),
+			formula,
+			target: morale,
+			success: standsFirm,
+			cssClass: 'morale-roll',
+			resultLabel: game.i18n.localize(standsFirm ? 'DOLMEN.Morale.StandsFirm' : 'DOLMEN.Morale.Flees'),
+			targetLabel: game.i18n.format('DOLMEN.Morale.Target', { morale })
+		})
+
+		return ChatMessage.create({
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			content,
+			rolls: [roll],
+			type: CONST.CHAT_MESSAGE_STYLES.OTHER
+		})
+	}
+
+	/* -------------------------------------------- */
+	/*  Natural Attacks                             */
+	/* -------------------------------------------- */
+
+	/**
+	 * Roll a creature's whole routine of natural attacks (e.g. 2 claws and a bite), resolving
+	 * each attack against every targeted token, and post every attack on one chat card.
+	 * @param {object} [options] - Roll options
+	 * @param {string} [options.type] - Only roll 'melee' or 'missile' attacks; all when omitted
+	 * @returns {Promise<ChatMessage|undefined>} The created chat message
+	 */
+	async rollAttackRoutine({ type } = {}) {
+		const attacks = (this.system.attacks ?? []).filter(a => a.count > 0 && (!type || a.type === type))
+		if (attacks.length === 0) {
+			ui.notifications.warn(game.i18n.format('DOLMEN.Creature.NoNaturalAttacks', { name: this.name }))
+			return
+		}
+
+		const targets = getAttackTargets()
+		const formula = buildFormula('1d20', [this.system.attack])
+		const rolls = []
+		const rows = []
+		for (const attack of attacks) {
+			const name = attack.name || game.i18n.localize('DOLMEN.Combat.Attack')
+			for (let i = 1; i <= attack.count; i++) {
+				const attackRoll = new Roll(formula)
+				await attackRoll.evaluate()
+				rolls.push(attackRoll)
+
+				let damageRoll = null
+				if (attack.damage && Roll.validate(attack.damage)) {
+					damageRoll = new Roll(attack.damage)
+					await damageRoll.evaluate()
+					rolls.push(damageRoll)
+				}
+
+				rows.push(await this._buildNaturalAttackHtml({
+					name: attack.count > 1 ? `${name} ${i}` : name,
+					attack,
+					attackRoll,
+					damageRoll,
+					targets
+				}))
+			}
+		}
+
+		const content = `
+			<div class="dolmen attack-roll attack-routine">
+				<div class="attack-header">
+					<img src="${this.img}" alt="${this.name}" class="weapon-icon">
+					<div class="attack-info">
+						<h3>${this.name}</h3>
+						<span class="attack-type">${game.i18n.localize('DOLMEN.Creature.AttackRoutine')} &middot; ${formula}</span>
+					</div>
+				</div>
+				${rows.join('')}
+			</div>
+		`
+
+		return ChatMessage.create({
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			content,
+			rolls,
+			type: CONST.CHAT_MESSAGE_STYLES.OTHER
+		})
+	}
+
+	/**
+	 * Build one attack of an attack routine card: its rolls, its special effect, and the
+	 * hit or miss against each target with buttons to apply the damage.
+	 * @param {object} config - Attack configuration
+	 * @param {string} config.name - Label for this attack
+	 * @param {object} config.attack - The natural attack from system.attacks
+	 * @param {Roll} config.attackRoll - The evaluated attack roll
+	 * @param {Roll|null} config.damageRoll - The evaluated damage roll, if the attack deals damage
+	 * @param {object[]} config.targets - The targets from getAttackTargets()
+	 * @returns {Promise<string>} HTML for the attack
+	 */
+	async _buildNaturalAttackHtml({ name, attack, attackRoll, damageRoll, targets }) {
+		const d20 = attackRoll.dice[0].results[0].result
+		const resultClass = d20 === 20 ? 'critical' : d20 === 1 ? 'fumble' : ''
+		const attackAnchor = await attackRoll.toAnchor({ classes: ['attack-inline-roll'] })
+		const damageAnchor = damageRoll ? await damageRoll.toAnchor({ classes: ['damage-inline-roll'] }) : null
+
+		let effect = ''
+		if (attack.effect) {
+			effect = attack.save === 'none'
+				? game.i18n.format('DOLMEN.Creature.Effect', { effect: attack.effect })
+				: game.i18n.format('DOLMEN.Creature.EffectSave', {
+					effect: attack.effect,
+					save: game.i18n.localize(`DOLMEN.Saves.${attack.save.capitalize()}`)
+				})
+		}
+
+		return `
+			<div class="routine-attack">
+				<div class="routine-rolls">
+					<span class="routine-name">${name}</span>
+					<span class="routine-roll attack-section ${resultClass}" title="${game.i18n.localize('DOLMEN.Attack.AttackRoll')}">${attackAnchor.outerHTML}</span>
+					${damageAnchor ? `<span class="routine-roll damage-section" title="${game.i18n.localize('DOLMEN.Attack.DamageRoll')}">${damageAnchor.outerHTML}</span>` : ''}
+				</div>
+				${effect ? `<p class="attack-note">${effect}</p>` : ''}
+				${buildTargetsHtml(targets, { attackTotal: attackRoll.total, resultClass, damage: damageRoll?.total })}
+			</div>`
+	}
+
+	/* -------------------------------------------- */
+	/*  Level Advancement                           */
+	/* -------------------------------------------- */
+
+	/**
+	 * Get the localized name of the actor's class (or kindred-class).
+	 * @returns {string} The class label
+	 */
+	getClassLabel() {
+		const classKey = this.system.class
+		const prefix = CHOICE_KEYS.kindredClasses.includes(classKey) ? 'DOLMEN.Kindreds' : 'DOLMEN.Classes'
+		return game.i18n.localize(`${prefix}.${classKey}`)
+	}
+
+	/**
+	 * Get the progression table for the actor's class.
+	 * @returns {object|null} Hit die, XP thresholds, attack and saves by level, or null if unknown
+	 */
+	getClassProgression() {
+		return CONFIG.DOLMENWOOD.classes[this.system.class] ?? null
+	}
+
+	/**
+	 * Get the level an amount of XP qualifies for in the actor's class.
+	 * @param {number} xp - Total experience points
+	 * @returns {number} The level reached (the current level if the class has no progression)
+	 */
+	getLevelForXP(xp) {
+		const progression = this.getClassProgression()
+		if (!progression) return this.system.level
+		return progression.xp.findLastIndex(threshold => xp >= threshold) + 1
+	}
+
+	/**
+	 * Get the attack bonus, save targets and next XP threshold for a class level.
+	 * @param {number} level - The class level
+	 * @returns {object|null} Object with level, attack, saves and nextLevel, or null if unknown
+	 */
+	getLevelAdvancement(level) {
+		const progression = this.getClassProgression()
+		if (!progression) return null
+
+		const index = Math.clamp(level, 1, progression.xp.length) - 1
+		return {
+			level,
+			attack: progression.attack[index],
+			saves: { ...progression.saves[index] },
+			nextLevel: progression.xp[index + 1] ?? progression.xp[index]
+		}
+	}
+
+	/**
+	 * Advance the actor to a new level: roll hit points for each level gained, then
+	 * update level, attack, saves and the next XP threshold, and post a summary card.
+	 * @param {number} level - The level to advance to
+	 * @returns {Promise<object|null>} The applied advancement with hpGained, or null if nothing changed
+	 */
+	async levelUp(level) {
+		const progression = this.getClassProgression()
+		if (!progression || level <= this.system.level) return null
+
+		const conMod = this.system.abilities.constitution.mod
+		const rolls = []
+		let hpGained = 0
+		for (let gained = this.system.level + 1; gained <= level; gained++) {
+			if (gained > CONFIG.DOLMENWOOD.hitDiceMaxLevel) {
+				hpGained += progression.hpPerLevel
+				continue
+			}
+			const roll = new Roll(buildFormula(progression.hitDie, [conMod]))
+			await roll.evaluate()
+			rolls.push(roll)
+			hpGained += Math.max(1, roll.total)
+		}
+
+		const advancement = this.getLevelAdvancement(level)
+		await this.update({
+			'system.level': level,
+			'system.hp.max': this.system.hp.max + hpGained,
+			'system.hp.value': this.system.hp.value + hpGained,
+			'system.attack': advancement.attack,
+			'system.saves': advancement.saves,
+			'system.xp.nextLevel': advancement.nextLevel
+		})
+
+		await ChatMessage.create({
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			content: await this._buildLevelUpChatHtml(advancement, rolls, hpGained),
+			rolls,
+			type: CONST.CHAT_MESSAGE_STYLES.OTHER
+		})
+		return { ...advancement, hpGained }
+	}
+
+	/**
+	 * Build chat message HTML summarising a level advancement.
+	 * @param {object} advancement - The applied advancement (level, attack, saves)
+	 * @param {Roll[]} rolls - The evaluated hit point rolls
+	 * @param {number} hpGained - Total hit points gained
+	 * @returns {Promise<string>} HTML content for the chat message
+	 */
+	async _buildLevelUpChatHtml(advancement, rolls, hpGained) {
+		const anchors = await Promise.all(rolls.map(r => r.toAnchor({ classes: ['hp-inline-roll'] })))
+		const saves = CHOICE_KEYS.saves
+			.map(key => `${game.i18n.localize(`DOLMEN.Saves.${key.capitalize()}`)} ${advancement.saves[key]}`)
+			.join(', ')
+		const attack = advancement.attack >= 0 ? `+${advancement.attack}` : advancement.attack
+
+		return `
+			<div class="dolmen check-roll level-up-roll">
+				<div class="check-header">
+					<img src="${this.img}" alt="${this.name}" class="actor-icon">
+					<div class="check-info">
+						<h3>${this.name}</h3>
+						<span class="check-type">${game.i18n.format('DOLMEN.LevelUp.NewLevel', { level: advancement.level, class: this.getClassLabel() })}</span>
+					</div>
+				</div>
+				<div class="level-up-details">
+					<div class="level-up-row">
+						<label>${game.i18n.localize('DOLMEN.Combat.HP')}</label>
+						<span>${anchors.map(a => a.outerHTML).join(' ')} <strong>+${hpGained}</strong></span>
+					</div>
+					<div class="level-up-row">
+						<label>${game.i18n.localize('DOLMEN.Combat.Attack')}</label>
+						<span>${attack}</span>
+					</div>
+					<div class="level-up-row">
+						<label>${game.i18n.localize('DOLMEN.SaveTargets')}</label>
+						<span>${saves}</span>
+					</div>
+				</div>
+			</div>
+		`
+	}
+
+	/* -------------------------------------------- */
+	/*  Kindred & Class Traits                      */
+	/* -------------------------------------------- */
+
+	/**
+	 * Add a Kindred or Class item, replacing any existing one of the same type,
+	 * and apply its grants (languages, skills, magic resistance) to the actor.
+	 * @param {object} itemData - Source data of the Kindred or Class item
+	 * @returns {Promise<Item>} The created item
+	 */
+	async addTraitItem(itemData) {
+		const existing = this.items.filter(i => i.type === itemData.type)
+		for (const item of existing) await this.update(this.getTraitUpdate(item, -1))
+		if (existing.length) await this.deleteEmbeddedDocuments('Item', existing.map(i => i.id), { applyTraits: false })
+
+		const [created] = await this.createEmbeddedDocuments('Item', [itemData], { applyTraits: false })
+		await this.update(this.getTraitUpdate(created, 1))
+		return created
+	}
+
+	/**
+	 * Build the actor update that applies (or removes) a trait item's grants.
+	 * Removing keeps any language or skill that another trait item on the actor also grants.
+	 * @param {Item} item - The Kindred or Class item
+	 * @param {number} sign - 1 to apply the grants, -1 to remove them
+	 * @returns {object} Actor update data
+	 */
+	getTraitUpdate(item, sign) {
+		const system = this.system
+		const traits = item.system
+		const others = this.items.filter(i => ['Kindred', 'Class'].includes(i.type) && i.id !== item.id)
+		const keptLanguages = new Set(others.flatMap(i => i.system.languages))
+		const keptSkillIds = new Set(others.flatMap(i => i.system.extraSkills.map(s => s.id)))
+		const removedLanguages = traits.languages.filter(l => !keptLanguages.has(l))
+		const removedSkillIds = traits.extraSkills.map(s => s.id).filter(id => !keptSkillIds.has(id))
+		const update = {
+			'system.magicResistance': system.magicResistance + sign * traits.magicResistance
+		}
+
+		for (const [skill, adjustment] of Object.entries(traits.skillAdjustments)) {
+			if (adjustment) update[`system.skills.${skill}`] = Math.clamp(system.skills[skill] + sign * adjustment, 2, 6)
+		}
+
+		if (sign > 0) {
+			const currentSkillIds = system.extraSkills.map(s => s.id)
+			const newSkills = traits.extraSkills.filter(s => !currentSkillIds.includes(s.id))
+			update['system.languages'] = [...new Set([...system.languages, ...traits.languages])]
+			update['system.extraSkills'] = [...system.extraSkills, ...newSkills].slice(0, CONFIG.DOLMENWOOD.maxExtraSkills)
+		} else {
+			update['system.languages'] = system.languages.filter(l => !removedLanguages.includes(l))
+			update['system.extraSkills'] = system.extraSkills.filter(s => !removedSkillIds.includes(s.id))
+		}
+
+		// Keep the built-in kindred and class fields in step when the item stands for one
+		if (sign > 0 && item.type === 'Kindred') {
+			update['system.size'] = traits.size
+			if (CHOICE_KEYS.kindreds.includes(traits.identifier)) update['system.kindred'] = traits.identifier
+		}
+		if (sign > 0 && item.type === 'Class') {
+			const classKeys = [...CHOICE_KEYS.classes, ...CHOICE_KEYS.kindredClasses]
+			if (classKeys.includes(traits.identifier)) update['system.class'] = traits.identifier
+		}
+		return update
+	}
+
+	/* -------------------------------------------- */
+	/*  Moon Sign                                   */
+	/* -------------------------------------------- */
+
+	/**
+	 * Get the boon or bane of the actor's moon sign.
+	 * @returns {object|null} Object with moon, phase, their labels, effect label, text and changes, or null if no sign is set
+	 */
+	getMoonSign() {
+		const { moonName: moon, moonPhase: phase } = this.system
+		const changes = CONFIG.DOLMENWOOD.moonSigns[moon]?.[phase]
+		if (!changes) return null
+
+		const moonLabel = game.i18n.localize(`DOLMEN.MoonNames.${moon}`)
+		const phaseLabel = game.i18n.localize(`DOLMEN.MoonPhases.${phase}`)
+		return {
+			moon,
+			phase,
+			moonLabel,
+			phaseLabel,
+			label: game.i18n.format('DOLMEN.MoonSignEffect', { moon: moonLabel, phase: phaseLabel }),
+			text: game.i18n.localize(`DOLMEN.MoonSigns.${moon}.${phase}`),
+			changes
+		}
+	}
+
+	/**
+	 * Get the modifier to reaction rolls made for this actor, added up from active effects
+	 * on flags.dolmenwood.reactionModifier (such as moon sign boons and banes).
+	 * @returns {number} Reaction roll modifier
+	 */
+	getReactionModifier() {
+		return Number(this.getFlag('dolmenwood', 'reactionModifier')) || 0
+	}
+
+	/**
+	 * Replace the actor's moon sign effect with one matching its current moon sign.
+	 * @returns {Promise<ActiveEffect|null>} The created effect, or null if no sign is set
+	 */
+	async syncMoonSignEffect() {
+		const existing = this.effects.filter(e => e.getFlag('dolmenwood', 'moonSign'))
+		if (existing.length) await this.deleteEmbeddedDocuments('ActiveEffect', existing.map(e => e.id))
+
+		const sign = this.getMoonSign()
+		if (!sign) return null
+		const [effect] = await this.createEmbeddedDocuments('ActiveEffect', [{
+			name: sign.label,
+			img: 'icons/svg/aura.svg',
+			description: sign.text,
+			origin: this.uuid,
+			changes: sign.changes.map(c => ({ key: c.key, mode: CONST.ACTIVE_EFFECT_MODES.ADD, value: String(c.value) })),
+			flags: { dolmenwood: { moonSign: true } }
+		}])
+		return effect
+	}
+
+	/** @override */
+	_onUpdate(changed, options, userId) {
+		super._onUpdate(changed, options, userId)
+		if (userId !== game.user.id) return
+
+		const system = changed.system ?? {}
+		if ('moonName' in system || 'moonPhase' in system) {
+			this.syncMoonSignEffect().catch(err => {
+				console.error(err)
+				ui.notifications.error(game.i18n.format('DOLMEN.MoonSignSyncFailed', { name: this.name }))
+			})
+		}
+	}
+
+	/* -------------------------------------------- */
+	/*  Overland Travel                             */
+	/* -------------------------------------------- */
+
+	/**
+	 * Get the travel points this actor can spend in a day of overland travel, derived from
+	 * its speed after any encumbrance penalty.
+	 * @returns {number} Travel points per day
+	 */
+	getTravelPoints() {
+		const speed = this.system.encumbrance?.speed ?? this.system.speed
+		return Math.floor(speed / CONFIG.DOLMENWOOD.travel.speedPerTravelPoint)
+	}
+
+	/* -------------------------------------------- */
+	/*  Inventory Stacks                            */
+	/* -------------------------------------------- */
+
+	/**
+	 * Find an inventory item that another item of the same name, type and equipped state stacks onto.
+	 * @param {object} itemData - Item data with name, type and equipped state
+	 * @returns {Item|undefined} The existing stack
+	 */
+	findStack(itemData) {
+		if (CONFIG.DOLMENWOOD.nonInventoryTypes.includes(itemData.type)) return undefined
+		const equipped = !!itemData.system?.equipped
+		return this.items.find(i => i.type === itemData.type && i.name === itemData.name && !!i.system.equipped === equipped)
+	}
+
+	/**
+	 * Add an item to the inventory, merging its quantity into an existing stack if there is one.
+	 * @param {object} itemData - Item data to add
+	 * @returns {Promise<Item>} The created or updated item
+	 */
+	async addItemStack(itemData) {
+		const stack = this.findStack(itemData)
+		if (stack) {
+			const quantity = (stack.system.quantity || 1) + (itemData.system?.quantity || 1)
+			return stack.update({ 'system.quantity': quantity })
+		}
+		const [item] = await this.createEmbeddedDocuments('Item', [itemData])
+		return item
+	}
+
+	/**
+	 * Move part of a stack to a new item of its own.
+	 * @param {Item} item - The stack to split
+	 * @param {number} quantity - How many to move to the new item
+	 * @returns {Promise<Item|null>} The new item, or null if the quantity doesn't leave both stacks non-empty
+	 */
+	async splitStack(item, quantity) {
+		const total = item.system.quantity || 1
+		if (!(quantity >= 1 && quantity < total)) return null
+
+		const itemData = item.toObject()
+		delete itemData._id
+		itemData.system.quantity = quantity
+		await item.update({ 'system.quantity': total - quantity })
+		const [split] = await this.createEmbeddedDocuments('Item', [itemData])
+		return split
+	}
+
+	/* -------------------------------------------- */
+	/*  Foraging                                    */
+	/* -------------------------------------------- */
+
+	/**
+	 * Get the finds available to an activity in a season.
+	 * @param {string} activity - 'foraging', 'hunting' or 'fishing'
+	 * @param {string} season - Season key from the calendar
+	 * @returns {object[]} Matching entries of CONFIG.DOLMENWOOD.foraging.table
+	 */
+	static getForagingFinds(activity, season) {
+		return CONFIG.DOLMENWOOD.foraging.table.filter(entry =>
+			entry.activity === activity && (!entry.seasons || entry.seasons.includes(season)))
+	}
+
+	/**
+	 * Forage, hunt or fish for a day. A successful Survival check rolls for a find among
+	 * those in season and available, and adds it to the inventory as a Foraged item.
+	 * @param {string} [activity='foraging'] - 'foraging', 'hunting' or 'fishing'
+	 * @param {object} [options] - Roll options
+	 * @param {number} [options.modifier=0] - Situational modifier to the Survival check
+	 * @returns {Promise<ChatMessage|null>} The created chat message
+	 */
+	async forage(activity = 'foraging', { modifier = 0 } = {}) {
+		const target = this.getSkillTarget('survival')
+		if (target === undefined) return null
+
+		const formula = buildFormula('1d6', [modifier])
+		const roll = new Roll(formula)
+		await roll.evaluate()
+		const rolls = [roll]
+		const success = roll.total >= target
+
+		let notes = ''
+		if (success) {
+			const { season } = getDate()
+			const availabilityRoll = await new Roll('1d6').evaluate()
+			rolls.push(availabilityRoll)
+			const finds = DolmenActor.getForagingFinds(activity, season)
+				.filter(entry => entry.availability >= availabilityRoll.total)
+
+			if (finds.length) {
+				const pickRoll = await new Roll(`1d${finds.length}`).evaluate()
+				const find = finds[pickRoll.total - 1]
+				const quantityRoll = await new Roll(find.quantity).evaluate()
+				rolls.push(pickRoll, quantityRoll)
+				const item = await this.addForagedItem(find, quantityRoll.total)
+				notes = `<span class="check-note">${game.i18n.format('DOLMEN.Foraging.Found', { quantity: quantityRoll.total, name: item.name })}</span>`
+			} else {
+				notes = `<span class="check-note">${game.i18n.format('DOLMEN.Foraging.NothingFound', { season: game.i18n.localize(`DOLMEN.Calendar.Seasons.${season}`) })}</span>`
+			}
+		}
+
+		const content = buildCheckChatHtml({
+			actor: this,
+			title: game.i18n.localize(`DOLMEN.Foraging.Activities.${activity}`),
+			subtitle: game.i18n.localize('DOLMEN.Skills.Survival'),
+			anchor: await roll.toAnchor({ classes: ['skill-inline-roll'] }),
+			formula,
+			target,
+			success,
+			cssClass: 'skill-roll forage-roll',
+			notes
+		})
+
+		return ChatMessage.create({
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			content,
+			rolls,
+			type: CONST.CHAT_MESSAGE_STYLES.OTHER
+		})
+	}
+
+	/**
+	 * Add a foraging find to the inventory, stacking it onto a Foraged item of the same name.
+	 * @param {object} find - Entry of CONFIG.DOLMENWOOD.foraging.table
+	 * @param {number} quantity - Number of rations found
+	 * @returns {Promise<Item>} The created or updated item
+	 */
+	addForagedItem(find, quantity) {
+		return this.addItemStack({
+			name: game.i18n.localize(`DOLMEN.Foraging.Finds.${find.key}`),
+			type: 'Foraged',
+			...(find.img ? { img: find.img } : {}),
+			system: { type: find.type, availability: find.availability, quantity }
+		})
+	}
+
+	/* -------------------------------------------- */
+	/*  Camping & Rest                              */
+	/* -------------------------------------------- */
+
+	/**
+	 * Whether this actor carries its own food and water.
+	 * @type {boolean}
+	 */
+	get usesProvisions() {
+		return this.type === 'Adventurer'
+	}
+
+	/**
+	 * Get the carried supplies of one kind. Foraged food comes first, as it spoils.
+	 * @param {string} kind - 'food' or 'water'
+	 * @returns {Item[]} Items that can be consumed
+	 */
+	getProvisions(kind) {
+		const foraged = kind === 'food'
+			? this.items.filter(i => i.type === 'Foraged' && CONFIG.DOLMENWOOD.rest.foodTypes.includes(i.system.type))
+			: []
+		const gear = this.items.filter(i => i.type === 'Item' && i.system.provision === kind)
+		return [...foraged, ...gear]
+	}
+
+	/**
+	 * Use up one day's worth of food or water, deleting the item when its last unit is used.
+	 * @param {string} kind - 'food' or 'water'
+	 * @returns {Promise<Item|null>} The item consumed from, or null if none was left
+	 */
+	async consumeProvision(kind) {
+		const item = this.getProvisions(kind)[0]
+		if (!item) return null
+
+		if (item.system.quantity > 1) await item.update({ 'system.quantity': item.system.quantity - 1 })
+		else await item.delete()
+		return item
+	}
+
+	/**
+	 * Rest for a night in camp or a full day: eat and drink, recover hit points and
+	 * memorised spells. Going without food or water prevents healing; each day without
+	 * food worsens the hunger penalty and each day without water causes damage.
+	 * @param {object} [options] - Rest options
+	 * @param {string} [options.type='night'] - 'night' or 'day'
+	 * @returns {Promise<object>} Summary with food, water, healing, damage, days without supplies and rolls
+	 */
+	async rest({ type = 'night' } = {}) {
+		const rules = CONFIG.DOLMENWOOD.rest
+		const summary = { actor: this, type, food: null, water: null, healed: 0, damage: 0, spellsRestored: 0, rolls: [] }
+		const deprivation = { hunger: 0, thirst: 0, ...this.getFlag('dolmenwood', 'deprivation') }
+
+		if (this.usesProvisions) {
+			summary.food = await this.consumeProvision('food')
+			summary.water = await this.consumeProvision('water')
+			deprivation.hunger = summary.food ? 0 : deprivation.hunger + 1
+			deprivation.thirst = summary.water ? 0 : deprivation.thirst + 1
+		}
+		summary.hunger = deprivation.hunger
+		summary.thirst = deprivation.thirst
+
+		if (deprivation.thirst) {
+			const roll = await new Roll(rules.thirstDamage).evaluate()
+			summary.rolls.push(roll)
+			summary.damage = roll.total
+		} else if (!deprivation.hunger) {
+			const roll = await new Roll(rules.healing[type] ?? rules.healing.night).evaluate()
+			summary.rolls.push(roll)
+			summary.healed = roll.total
+		}
+
+		const hp = this.system.hp
+		const value = Math.clamp(hp.value + summary.healed - summary.damage, 0, Math.max(hp.max, hp.value))
+		if (summary.healed) summary.healed = value - hp.value
+		await this.update({ 'system.hp.value': value, 'flags.dolmenwood.deprivation': deprivation })
+		await this.syncHungerEffect(deprivation.hunger)
+
+		summary.spellsRestored = await this.restoreSpells()
+		return summary
+	}
+
+	/**
+	 * Replace the actor's hunger effect with one matching the days gone without food.
+	 * @param {number} days - Consecutive days without food
+	 * @returns {Promise<ActiveEffect|null>} The created effect, or null if the actor is fed
+	 */
+	async syncHungerEffect(days) {
+		const existing = this.effects.filter(e => e.getFlag('dolmenwood', 'hunger'))
+		if (existing.length) await this.deleteEmbeddedDocuments('ActiveEffect', existing.map(e => e.id))
+		if (!days) return null
+
+		const [effect] = await this.createEmbeddedDocuments('ActiveEffect', [{
+			name: game.i18n.format('DOLMEN.Rest.HungerEffect', { days }),
+			img: 'icons/svg/skull.svg',
+			origin: this.uuid,
+			changes: CONFIG.DOLMENWOOD.rest.hunger.map(c => ({ key: c.key, mode: CONST.ACTIVE_EFFECT_MODES.ADD, value: String(c.value * days) })),
+			flags: { dolmenwood: { hunger: true } }
+		}])
+		return effect
+	}
+
+	/* -------------------------------------------- */
+	/*  Spellcasting                                */
+	/* -------------------------------------------- */
+
+	/**
+	 * Get memorisation slots per rank for the actor's class and level.
+	 * @returns {object|null} Object with the spell type and per-rank slots ({ rank, max, used }),
+	 *   or null if the actor's class doesn't memorise spells
+	 */
+	getSpellSlots() {
+		const classSlots = CONFIG.DOLMENWOOD.spellSlots[this.system.class]
+		if (!classSlots) return null
+
+		const levelIndex = Math.clamp(this.system.level, 1, classSlots.slots.length) - 1
+		const memorized = this.items.filter(i => i.type === 'Spell' && i.system.type === classSlots.type && i.system.memorized)
+		const ranks = classSlots.slots[levelIndex].map((max, index) => ({
+			rank: index + 1,
+			max,
+			used: memorized.filter(i => i.system.rank === index + 1).length
+		}))
+		return { type: classSlots.type, ranks }
+	}
+
+	/**
+	 * Check whether a spell must be memorised in a slot before it can be cast.
+	 * @param {Item} spell - The spell item
+	 * @returns {boolean} True if the spell uses the actor's memorisation slots
+	 */
+	spellUsesSlots(spell) {
+		return CONFIG.DOLMENWOOD.spellSlots[this.system.class]?.type === spell.system.type
+	}
+
+	/**
+	 * Memorise or forget a spell, respecting the free slots of its rank.
+	 * @param {Item} spell - The spell item
+	 * @returns {Promise<Item|undefined>} The updated spell, if it changed
+	 */
+	async toggleMemorized(spell) {
+		if (spell.system.memorized) {
+			return spell.update({ 'system.memorized': false, 'system.expended': false })
+		}
+
+		const rankSlots = this.getSpellSlots()?.ranks.find(r => r.rank === spell.system.rank)
+		if (!rankSlots || rankSlots.used >= rankSlots.max) {
+			ui.notifications.warn(game.i18n.format('DOLMEN.Magic.NoFreeSlot', { rank: spell.system.rank }))
+			return
+		}
+		return spell.update({ 'system.memorized': true, 'system.expended': false })
+	}
+
+	/**
+	 * Cast a spell: post its description to chat and expend its memorisation slot.
+	 * @param {Item} spell - The spell item
+	 * @returns {Promise<ChatMessage|undefined>} The created chat message
+	 */
+	async castSpell(spell) {
+		const usesSlots = this.spellUsesSlots(spell)
+		if (usesSlots && (!spell.system.memorized || spell.system.expended)) {
+			const key = spell.system.expended ? 'DOLMEN.Magic.AlreadyExpended' : 'DOLMEN.Magic.NotMemorized'
+			ui.notifications.warn(game.i18n.format(key, { name: spell.name }))
+			return
+		}
+
+		const message = await ChatMessage.create({
+			speaker: ChatMessage.getSpeaker({ actor: this }),
+			content: await this._buildSpellChatHtml(spell),
+			type: CONST.CHAT_MESSAGE_STYLES.OTHER
+		})
+
+		if (usesSlots) await spell.update({ 'system.expended': true })
+		return message
+	}
+
+	/**
+	 * Restore all expended memorisation slots (after a night's rest).
+	 * @returns {Promise<number>} The number of spells restored
+	 */
+	async restoreSpells() {
+		const updates = this.items
+			.filter(i => i.type === 'Spell' && i.system.expended)
+			.map(i => ({ _id: i.id, 'system.expended': false }))
+		if (updates.length) await this.updateEmbeddedDocuments('Item', updates)
+		return updates.length
+	}
+
+	/**
+	 * Build chat message HTML for a cast spell.
+	 * @param {Item} spell - The spell item
+	 * @returns {Promise<string>} HTML content for the chat message
+	 */
+	async _buildSpellChatHtml(spell) {
+		const system = spell.system
+		const typeName = game.i18n.localize(`DOLMEN.Item.SpellType.${system.type}`)
+		const rankLabel = game.i18n.format('DOLMEN.Magic.RankN', { rank: system.rank })
+		const description = await TextEditor.enrichHTML(system.description, { relativeTo: spell })
+
+		const details = [
+			{ label: 'DOLMEN.Item.Spell.Range', value: system.range },
+			{ label: 'DOLMEN.Item.Spell.Duration', value: system.duration },
+			{ label: 'DOLMEN.Item.Spell.Area', value: system.area },
+			{ label: 'DOLMEN.Item.Spell.Save', value: system.save !== 'none' ? game.i18n.localize(`DOLMEN.Saves.${system.save.capitalize()}`) : '' }
+		]
+			.filter(d => d.value)
+			.map(d => `<div class="spell-detail"><label>${game.i18n.localize(d.label)}</label><span>${d.value}</span></div>`)
+			.join('')
+
+		return `
+			<div class="dolmen spell-card">
+				<div class="spell-header">
+					<img src="${spell.img}" alt="${spell.name}" class="spell-icon">
+					<div class="spell-info">
+						<h3>${spell.name}</h3>
+						<span class="spell-type">${typeName} &middot; ${rankLabel}</span>
+					</div>
+				</div>
+				${details ? `<div class="spell-details">${details}</div>` : ''}
+				<div class="spell-description">${description}</div>
+			</div>
+		`
+	}
 }
-export default DolmenActor
\ No newline at end of file
+export default DolmenActor
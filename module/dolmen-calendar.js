@@ -0,0 +1,109 @@
+/* global foundry, game, CONFIG */
+import { getDate, dateToWorldTime, formatDate } from './calendar.js'
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api
+
+/**
+ * Small calendar window showing the current Dolmenwood date, holiday and moon.
+ * Game masters can move the date forwards or backwards, which advances world time.
+ */
+class DolmenCalendar extends HandlebarsApplicationMixin(ApplicationV2) {
+	static DEFAULT_OPTIONS = {
+		id: 'dolmen-calendar',
+		classes: ['dolmen', 'calendar'],
+		tag: 'form',
+		position: {
+			width: 320,
+			height: 'auto'
+		},
+		window: {
+			title: 'DOLMEN.Calendar.Title',
+			icon: 'fas fa-calendar-days'
+		},
+		actions: {
+			advance: DolmenCalendar._onAdvance,
+			setDate: DolmenCalendar._onSetDate
+		}
+	}
+
+	static PARTS = {
+		calendar: {
+			template: 'systems/dolmenwood/templates/calendar/calendar.html'
+		}
+	}
+
+	/** @type {DolmenCalendar|null} */
+	static #instance = null
+
+	/**
+	 * Open the calendar, reusing the window if it is already open.
+	 * @returns {DolmenCalendar} The calendar application
+	 */
+	static open() {
+		DolmenCalendar.#instance ??= new DolmenCalendar()
+		DolmenCalendar.#instance.render(true)
+		return DolmenCalendar.#instance
+	}
+
+	/**
+	 * Re-render the open calendar when world time changes.
+	 */
+	static onUpdateWorldTime() {
+		if (DolmenCalendar.#instance?.rendered) DolmenCalendar.#instance.render()
+	}
+
+	/**
+	 * Add a calendar button to the token controls.
+	 * @param {object} controls - Scene control groups keyed by name
+	 */
+	static onGetSceneControlButtons(controls) {
+		if (!controls.tokens) return
+		controls.tokens.tools.dolmenCalendar = {
+			name: 'dolmenCalendar',
+			title: 'DOLMEN.Calendar.Title',
+			icon: 'fas fa-calendar-days',
+			button: true,
+			order: Object.keys(controls.tokens.tools).length,
+			onChange: () => DolmenCalendar.open()
+		}
+	}
+
+	async _prepareContext(options) {
+		const context = await super._prepareContext(options)
+		const date = getDate()
+
+		context.date = date
+		context.dateLabel = formatDate(date)
+		context.seasonLabel = game.i18n.localize(`DOLMEN.Calendar.Seasons.${date.season}`)
+		context.moonLabel = game.i18n.localize(`DOLMEN.MoonNames.${date.moon}`)
+		context.phaseLabel = game.i18n.localize(`DOLMEN.MoonPhases.${date.phase}`)
+		context.holidayLabel = date.holiday ? game.i18n.localize(`DOLMEN.Calendar.Holidays.${date.holiday}`) : ''
+		context.isGM = game.user.isGM
+		context.monthChoices = Object.fromEntries(CONFIG.DOLMENWOOD.calendar.months.map((m, index) => [index, game.i18n.localize(`DOLMEN.Calendar.Months.${m.key}`)]))
+		return context
+	}
+
+	static async _onAdvance(_event, target) {
+		if (!game.user.isGM) return
+		const days = parseInt(target.dataset.days) || 0
+		await game.time.advance(days * CONFIG.DOLMENWOOD.calendar.secondsPerDay)
+	}
+
+	static async _onSetDate() {
+		if (!game.user.isGM) return
+		const form = this.element
+		const year = parseInt(form.querySelector('[name="year"]').value)
+		const monthIndex = parseInt(form.querySelector('[name="monthIndex"]').value)
+		const month = CONFIG.DOLMENWOOD.calendar.months[monthIndex]
+		const day = Math.clamp(parseInt(form.querySelector('[name="day"]').value), 1, month?.days ?? 1)
+		if (!month || [year, day].some(Number.isNaN)) return
+
+		// Keep the time of day when jumping to another date
+		const current = getDate()
+		const target = dateToWorldTime({ year, monthIndex, day })
+		const start = dateToWorldTime(current)
+		await game.time.advance(target - start)
+	}
+}
+
+export default DolmenCalendar
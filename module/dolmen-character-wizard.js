@@ -0,0 +1,312 @@
+/* global foundry, game, Roll, CONFIG, ui */
+import { buildChoices, CHOICE_KEYS } from './utils/choices.js'
+import { buildFormula, formatModifier } from './utils/rolls.js'
+import { AdventurerDataModel } from './data-models.mjs'
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api
+
+const ABILITIES = ['strength', 'intelligence', 'wisdom', 'dexterity', 'constitution', 'charisma']
+const STEPS = ['abilities', 'origin', 'background', 'summary']
+
+/**
+ * Step-by-step character creation for Adventurers: roll abilities, pick kindred and
+ * class, roll background details, then apply everything to the actor in one update.
+ */
+class DolmenCharacterWizard extends HandlebarsApplicationMixin(ApplicationV2) {
+	/**
+	 * @param {Actor} actor - The Adventurer being created
+	 * @param {object} [options] - Application options
+	 */
+	constructor(actor, options = {}) {
+		super(options)
+		this.actor = actor
+		this.step = 0
+		this.creation = {
+			abilities: null,
+			rerolled: false,
+			swapped: false,
+			swap: { first: 'strength', second: 'intelligence' },
+			kindred: actor.system.kindred,
+			class: actor.system.class,
+			background: null
+		}
+	}
+
+	static DEFAULT_OPTIONS = {
+		classes: ['dolmen', 'character-wizard'],
+		tag: 'form',
+		form: {
+			handler: DolmenCharacterWizard._onChangeForm,
+			submitOnChange: true,
+			closeOnSubmit: false
+		},
+		position: {
+			width: 540,
+			height: 'auto'
+		},
+		window: {
+			icon: 'fas fa-trees'
+		},
+		actions: {
+			rollAbilities: DolmenCharacterWizard._onRollAbilities,
+			swapAbilities: DolmenCharacterWizard._onSwapAbilities,
+			rollBackground: DolmenCharacterWizard._onRollBackground,
+			previousStep: DolmenCharacterWizard._onPreviousStep,
+			nextStep: DolmenCharacterWizard._onNextStep,
+			finish: DolmenCharacterWizard._onFinish
+		}
+	}
+
+	static PARTS = {
+		wizard: {
+			template: 'systems/dolmenwood/templates/adventurer/character-wizard.html'
+		}
+	}
+
+	/** @override */
+	get title() {
+		return `${game.i18n.localize('DOLMEN.Creation.Title')}: ${this.actor.name}`
+	}
+
+	async _prepareContext(options) {
+		const context = await super._prepareContext(options)
+		const creation = this.creation
+		const stepId = STEPS[this.step]
+
+		context.step = stepId
+		context.steps = STEPS.map((id, index) => ({
+			id,
+			label: game.i18n.localize(`DOLMEN.Creation.Steps.${id}`),
+			cssClass: index === this.step ? 'active' : (index < this.step ? 'done' : '')
+		}))
+		context.isFirstStep = this.step === 0
+		context.isLastStep = this.step === STEPS.length - 1
+		context.canAdvance = !!creation.abilities
+
+		// Abilities
+		context.abilities = ABILITIES.map(id => {
+			const score = creation.abilities?.[id]
+			return {
+				id,
+				label: game.i18n.localize(`DOLMEN.Abilities.${id.capitalize()}`),
+				score,
+				mod: score ? formatModifier(AdventurerDataModel.computeModifier(score)) : ''
+			}
+		})
+		context.canReroll = !!creation.abilities && !creation.rerolled && game.settings.get('dolmenwood', 'creationReroll')
+		context.canSwap = !!creation.abilities && !creation.swapped && game.settings.get('dolmenwood', 'creationSwap')
+		context.abilityChoices = Object.fromEntries(ABILITIES.map(id => [id, game.i18n.localize(`DOLMEN.Abilities.${id.capitalize()}`)]))
+		context.swap = creation.swap
+
+		// Kindred and class
+		context.kindred = creation.kindred
+		context.class = creation.class
+		context.kindredChoices = buildChoices('DOLMEN.Kindreds', CHOICE_KEYS.kindreds)
+		context.classChoices = {
+			...buildChoices('DOLMEN.Classes', CHOICE_KEYS.classes),
+			...buildChoices('DOLMEN.Kindreds', CHOICE_KEYS.kindredClasses)
+		}
+		context.origin = this._prepareOrigin()
+
+		// Background
+		context.background = creation.background
+		context.details = this._prepareDetails()
+		context.moonNameChoices = buildChoices('DOLMEN.MoonNames', CHOICE_KEYS.moonNames)
+		context.moonPhaseChoices = buildChoices('DOLMEN.MoonPhases', CHOICE_KEYS.moonPhases)
+		if (creation.background) {
+			const { height, weight } = creation.background
+			context.heightLabel = `${Math.floor(height / 12)}'${height % 12}" (${Math.round(height * 2.54)} cm)`
+			context.weightLabel = `${weight} lbs (${Math.round(weight * 0.4536)} kg)`
+		}
+
+		return context
+	}
+
+	/**
+	 * Summarise what the chosen kindred and class grant.
+	 * @returns {object} Languages, skills and hit die labels
+	 */
+	_prepareOrigin() {
+		const kindred = CONFIG.DOLMENWOOD.kindreds[this.creation.kindred]
+		const classSkills = CONFIG.DOLMENWOOD.classSkills[this.creation.class] ?? []
+		const getSkillLabel = this.actor.constructor.getSkillLabel
+		const skills = [
+			...Object.entries(kindred.skills).map(([id, target]) => `${getSkillLabel(id)} ${target}`),
+			...classSkills.map(id => getSkillLabel(id))
+		]
+		return {
+			languages: kindred.languages.map(l => game.i18n.localize(`DOLMEN.LanguageNames.${l}`)).join(', '),
+			skills: skills.join(', '),
+			hitDie: CONFIG.DOLMENWOOD.classes[this.creation.class]?.hitDie ?? ''
+		}
+	}
+
+	/**
+	 * Build the editable list of rolled background details.
+	 * @returns {object[]} Detail fields with id, label and value
+	 */
+	_prepareDetails() {
+		const { common, kindred } = CONFIG.DOLMENWOOD.characterDetails
+		const furKindreds = ['breggle', 'grimalkin']
+		return [...kindred, ...common].map(id => ({
+			id,
+			label: game.i18n.localize(`DOLMEN.ExtraDetails.${id === 'body' && furKindreds.includes(this.creation.kindred) ? 'Fur' : id.capitalize()}`),
+			value: this.creation.background?.details[id] ?? ''
+		}))
+	}
+
+	/**
+	 * Roll a total for a formula.
+	 * @param {string} formula - The roll formula
+	 * @returns {Promise<number>} The rolled total
+	 */
+	async _rollTotal(formula) {
+		const roll = new Roll(formula)
+		await roll.evaluate()
+		return roll.total
+	}
+
+	/**
+	 * Roll 3d6 in order for each ability.
+	 */
+	async _rollAbilities() {
+		const abilities = {}
+		for (const id of ABILITIES) abilities[id] = await this._rollTotal('3d6')
+		this.creation.abilities = abilities
+	}
+
+	/**
+	 * Roll background details, moon sign, age, lifespan, height and weight for the chosen kindred.
+	 */
+	async _rollBackground() {
+		const kindredKey = this.creation.kindred
+		const kindred = CONFIG.DOLMENWOOD.kindreds[kindredKey]
+		const { common, kindred: kindredTables, die } = CONFIG.DOLMENWOOD.characterDetails
+		const rollEntry = async (prefix) => game.i18n.localize(`${prefix}.${await this._rollTotal(`1d${die}`)}`)
+
+		const details = {}
+		for (const id of kindredTables) details[id] = await rollEntry(`DOLMEN.Creation.Tables.${kindredKey}.${id}`)
+		for (const id of common) details[id] = await rollEntry(`DOLMEN.Creation.Tables.${id}`)
+
+		const { moonNames, moonPhases } = CHOICE_KEYS
+		this.creation.background = {
+			kindred: kindredKey,
+			details,
+			moonName: moonNames[await this._rollTotal(`1d${moonNames.length}`) - 1],
+			moonPhase: moonPhases[await this._rollTotal(`1d${moonPhases.length}`) - 1],
+			age: await this._rollTotal(kindred.age),
+			lifespan: await this._rollTotal(kindred.lifespan),
+			height: await this._rollTotal(kindred.height),
+			weight: await this._rollTotal(kindred.weight)
+		}
+	}
+
+	/**
+	 * Keep wizard state in sync with form edits.
+	 * @param {SubmitEvent|Event} event - The triggering event
+	 * @param {HTMLFormElement} form - The form element
+	 * @param {FormDataExtended} formData - The submitted data
+	 */
+	static async _onChangeForm(event, form, formData) {
+		const data = foundry.utils.expandObject(formData.object)
+		const creation = this.creation
+
+		if (data.kindred) creation.kindred = data.kindred
+		if (data.class) creation.class = data.class
+		if (data.swap) creation.swap = data.swap
+		if (creation.background && data.background) {
+			foundry.utils.mergeObject(creation.background, data.background)
+		}
+		this.render()
+	}
+
+	static async _onRollAbilities() {
+		if (this.creation.abilities) this.creation.rerolled = true
+		await this._rollAbilities()
+		this.render()
+	}
+
+	static _onSwapAbilities() {
+		const { first, second } = this.creation.swap
+		if (first === second) return
+
+		const abilities = this.creation.abilities
+		const score = abilities[first]
+		abilities[first] = abilities[second]
+		abilities[second] = score
+		this.creation.swapped = true
+		this.render()
+	}
+
+	static async _onRollBackground() {
+		await this._rollBackground()
+		this.render()
+	}
+
+	static _onPreviousStep() {
+		this.step = Math.max(0, this.step - 1)
+		this.render()
+	}
+
+	static async _onNextStep() {
+		if (!this.creation.abilities) {
+			ui.notifications.warn(game.i18n.localize('DOLMEN.Creation.RollFirst'))
+			return
+		}
+		this.step = Math.min(STEPS.length - 1, this.step + 1)
+
+		// Background tables depend on kindred, so roll again if it changed
+		const background = this.creation.background
+		if (STEPS[this.step] === 'background' && background?.kindred !== this.creation.kindred) {
+			await this._rollBackground()
+		}
+		this.render()
+	}
+
+	static async _onFinish() {
+		await this._applyToActor()
+		ui.notifications.info(game.i18n.format('DOLMEN.Creation.Created', { name: this.actor.name }))
+		this.close()
+	}
+
+	/**
+	 * Apply the created character to the actor as a level 1 adventurer.
+	 */
+	async _applyToActor() {
+		const { abilities, kindred: kindredKey, class: classKey, background } = this.creation
+		const kindred = CONFIG.DOLMENWOOD.kindreds[kindredKey]
+		const progression = CONFIG.DOLMENWOOD.classes[classKey]
+		const conMod = AdventurerDataModel.computeModifier(abilities.constitution)
+		const hp = Math.max(1, await this._rollTotal(buildFormula(progression.hitDie, [conMod])))
+		const maxSkills = CONFIG.DOLMENWOOD.maxExtraSkills
+
+		const updateData = {
+			'system.kindred': kindredKey,
+			'system.class': classKey,
+			'system.level': 1,
+			'system.xp.value': 0,
+			'system.xp.nextLevel': progression.xp[1],
+			'system.hp.value': hp,
+			'system.hp.max': hp,
+			'system.attack': progression.attack[0],
+			'system.saves': { ...progression.saves[0] },
+			'system.languages': [...kindred.languages],
+			'system.skills': { listen: 6, search: 6, survival: 6, ...kindred.skills },
+			'system.extraSkills': (CONFIG.DOLMENWOOD.classSkills[classKey] ?? []).slice(0, maxSkills).map(id => ({ id, target: 6 })),
+			'system.details': background.details,
+			'system.moonName': background.moonName,
+			'system.moonPhase': background.moonPhase,
+			'system.physical.age': background.age,
+			'system.physical.lifespan': background.lifespan,
+			'system.physical.heightFeet': `${Math.floor(background.height / 12)}'${background.height % 12}"`,
+			'system.physical.heightCm': Math.round(background.height * 2.54),
+			'system.physical.weightLbs': background.weight,
+			'system.physical.weightKg': Math.round(background.weight * 0.4536)
+		}
+		for (const id of ABILITIES) updateData[`system.abilities.${id}.score`] = abilities[id]
+
+		await this.actor.update(updateData)
+	}
+}
+
+export default DolmenCharacterWizard
@@ -0,0 +1,207 @@
+/* global Combat, Combatant, CONST, game, ui, Roll, ChatMessage */
+import { buildFormula } from './utils/rolls.js'
+
+// Token dispositions in the order sides act when their initiative is tied
+const SIDES = {
+	[CONST.TOKEN_DISPOSITIONS.FRIENDLY]: 'friendly',
+	[CONST.TOKEN_DISPOSITIONS.NEUTRAL]: 'neutral',
+	[CONST.TOKEN_DISPOSITIONS.HOSTILE]: 'hostile',
+	[CONST.TOKEN_DISPOSITIONS.SECRET]: 'secret'
+}
+const SIDE_ORDER = Object.values(SIDES)
+const SIDE_ICONS = {
+	friendly: 'fa-shield-heart',
+	neutral: 'fa-scale-balanced',
+	hostile: 'fa-skull',
+	secret: 'fa-mask'
+}
+
+// Each side (or combatant, with individual initiative) rolls this die
+const INITIATIVE_DIE = '1d6'
+
+/**
+ * Combat with Dolmenwood side initiative: each side (token disposition) rolls 1d6 at the
+ * start of every round and all its combatants act on that number. Sides that tie act
+ * simultaneously. The initiativeMode setting switches back to individual rolls.
+ */
+export class DolmenCombat extends Combat {
+	/**
+	 * Whether combat uses side initiative rather than individual rolls.
+	 * @type {boolean}
+	 */
+	static get usesGroupInitiative() {
+		return game.settings.get('dolmenwood', 'initiativeMode') === 'group'
+	}
+
+	/**
+	 * Group the combatants by side.
+	 * @param {Combatant[]} [combatants] - The combatants to group (defaults to all)
+	 * @returns {Map<string, Combatant[]>} Combatants keyed by side, in side order
+	 */
+	getSides(combatants = this.combatants.contents) {
+		const sides = new Map()
+		for (const side of SIDE_ORDER) {
+			const members = combatants.filter(c => c.side === side)
+			if (members.length) sides.set(side, members)
+		}
+		return sides
+	}
+
+	/**
+	 * Roll 1d6 for each side and give every combatant on it that initiative, then post the results.
+	 * @param {Combatant[]} [combatants] - Combatants whose sides roll (defaults to all)
+	 * @returns {Promise<ChatMessage|undefined>} The created chat message
+	 */
+	async rollGroupInitiative(combatants = this.combatants.contents) {
+		const sides = this.getSides(combatants)
+		if (sides.size === 0) return
+
+		const rolls = []
+		const results = []
+		const updates = []
+		for (const [side, members] of sides) {
+			const roll = await new Roll(INITIATIVE_DIE).evaluate()
+			rolls.push(roll)
+			results.push({ side, roll, count: members.length })
+			for (const combatant of members) updates.push({ _id: combatant.id, initiative: roll.total })
+		}
+		await this.updateEmbeddedDocuments('Combatant', updates)
+
+		let rows = ''
+		for (const { side, roll, count } of results) {
+			const tied = results.some(r => r.side !== side && r.roll.total === roll.total)
+			const anchor = await roll.toAnchor({ classes: ['initiative-inline-roll'] })
+			rows += `
+				<div class="group-result">
+					<i class="fas ${SIDE_ICONS[side]} side-icon"></i>
+					<span class="group-name">${game.i18n.localize(`DOLMEN.Initiative.Sides.${side}`)}</span>
+					<span class="group-roll-result">${anchor.outerHTML}</span>
+					<span class="group-target">${game.i18n.format('DOLMEN.Initiative.Combatants', { count })}</span>
+					${tied ? `<span class="roll-label">${game.i18n.localize('DOLMEN.Initiative.Simultaneous')}</span>` : ''}
+				</div>`
+		}
+
+		const content = `
+			<div class="dolmen check-roll group-roll initiative-roll">
+				<div class="check-header">
+					<i class="fas fa-swords"></i>
+					<div class="check-info">
+						<h3>${game.i18n.localize('DOLMEN.Initiative.Title')}</h3>
+						<span class="check-type">${game.i18n.format('DOLMEN.Initiative.Round', { round: Math.max(this.round, 1) })}</span>
+					</div>
+				</div>
+				<div class="group-results">${rows}</div>
+			</div>
+		`
+
+		return ChatMessage.create({
+			speaker: ChatMessage.getSpeaker(),
+			content,
+			rolls,
+			type: CONST.CHAT_MESSAGE_STYLES.OTHER
+		})
+	}
+
+	/** @override */
+	async rollInitiative(ids, options = {}) {
+		if (!DolmenCombat.usesGroupInitiative) return super.rollInitiative(ids, options)
+		if (!game.user.isGM) {
+			ui.notifications.warn(game.i18n.localize('DOLMEN.Initiative.GMRolls'))
+			return this
+		}
+
+		// Rolling for any combatant rolls for its whole side
+		const sides = new Set((typeof ids === 'string' ? [ids] : ids).map(id => this.combatants.get(id)?.side))
+		await this.rollGroupInitiative(this.combatants.filter(c => sides.has(c.side)))
+		if (options.updateTurn !== false && this.started) await this.update({ turn: 0 })
+		return this
+	}
+
+	/** @override */
+	async startCombat() {
+		if (DolmenCombat.usesGroupInitiative) await this.rollGroupInitiative()
+		return super.startCombat()
+	}
+
+	/** @override */
+	async nextRound() {
+		const combat = await super.nextRound()
+		if (game.user.isGM) await this.clearManoeuvreEffects()
+		// Side initiative is rolled again every round
+		if (DolmenCombat.usesGroupInitiative && game.user.isGM) {
+			await this.rollGroupInitiative()
+			await this.update({ turn: 0 })
+		}
+		return combat
+	}
+
+	/**
+	 * Remove the armour class bonuses of combat options (fighting defensively, parrying),
+	 * which last until the next round.
+	 */
+	async clearManoeuvreEffects() {
+		for (const actor of new Set(this.combatants.map(c => c.actor).filter(a => a))) {
+			const effects = actor.effects.filter(e => e.getFlag('dolmenwood', 'manoeuvre'))
+			if (effects.length) await actor.deleteEmbeddedDocuments('ActiveEffect', effects.map(e => e.id))
+		}
+	}
+
+	/**
+	 * Sort by initiative, keeping the combatants of a side together when sides tie.
+	 * Called unbound by Combat#setupTurns.
+	 * @override
+	 */
+	_sortCombatants(a, b) {
+		const ia = Number.isNumeric(a.initiative) ? a.initiative : -Infinity
+		const ib = Number.isNumeric(b.initiative) ? b.initiative : -Infinity
+		const bySide = SIDE_ORDER.indexOf(a.side) - SIDE_ORDER.indexOf(b.side)
+		return (ib - ia) || bySide || a.name.localeCompare(b.name) || (a.id > b.id ? 1 : -1)
+	}
+
+	/**
+	 * Label the sides in the combat tracker and mark each combatant with its side.
+	 * @param {CombatTracker} app - The combat tracker
+	 * @param {HTMLElement} html - The rendered tracker
+	 */
+	static onRenderCombatTracker(app, html) {
+		const combat = app.viewed
+		if (!combat) return
+
+		let currentSide = null
+		for (const row of html.querySelectorAll('.combatant[data-combatant-id]')) {
+			const combatant = combat.combatants.get(row.dataset.combatantId)
+			if (!combatant) continue
+			row.classList.add(`dolmen-side-${combatant.side}`)
+			if (combatant.side === currentSide) continue
+
+			currentSide = combatant.side
+			const header = document.createElement('li')
+			header.classList.add('dolmen-side-header', `dolmen-side-${currentSide}`)
+			header.innerHTML = `<i class="fas ${SIDE_ICONS[currentSide]}"></i> ${game.i18n.localize(`DOLMEN.Initiative.Sides.${currentSide}`)}`
+			row.before(header)
+		}
+	}
+}
+
+/**
+ * A combatant on one side of a Dolmenwood combat.
+ */
+export class DolmenCombatant extends Combatant {
+	/**
+	 * The side this combatant fights on, from its token's disposition.
+	 * @type {string}
+	 */
+	get side() {
+		const disposition = this.token?.disposition
+			?? (this.actor?.hasPlayerOwner ? CONST.TOKEN_DISPOSITIONS.FRIENDLY : CONST.TOKEN_DISPOSITIONS.HOSTILE)
+		return SIDES[disposition] ?? 'hostile'
+	}
+
+	/**
+	 * Individual initiative: 1d6 plus the Dexterity modifier for adventurers.
+	 * @override
+	 */
+	_getInitiativeFormula() {
+		return buildFormula(INITIATIVE_DIE, [this.actor?.system.abilities?.dexterity.mod ?? 0])
+	}
+}
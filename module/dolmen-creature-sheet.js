@@ -0,0 +1,126 @@
+/* global game, ui, foundry */
+import DolmenSheet from './dolmen-sheet.js'
+import { buildChoices, CHOICE_KEYS } from './utils/choices.js'
+
+/**
+ * Actor sheet for Creatures, laid out as a compact Dolmenwood stat block.
+ * Roll handling (attacks, saves, morale) is inherited from the adventurer sheet.
+ */
+class DolmenCreatureSheet extends DolmenSheet {
+	static DEFAULT_OPTIONS = {
+		classes: ['dolmen', 'sheet', 'actor', 'creature'],
+		position: {
+			width: 620,
+			height: 720,
+		},
+		window: {
+			resizable: true,
+			controls: []
+		},
+		actions: {
+			rollHitPoints: DolmenCreatureSheet._onRollHitPoints,
+			rollAttackRoutine: DolmenCreatureSheet._onRollAttackRoutine,
+			addNaturalAttack: DolmenCreatureSheet._onAddNaturalAttack,
+			removeNaturalAttack: DolmenCreatureSheet._onRemoveNaturalAttack
+		}
+	}
+
+	static PARTS = {
+		header: {
+			template: 'systems/dolmenwood/templates/creature/parts/creature-header.html'
+		},
+		body: {
+			template: 'systems/dolmenwood/templates/creature/parts/creature-body.html',
+			scrollable: ['.creature-statblock']
+		}
+	}
+
+	static TABS = {}
+
+	async _prepareContext(options) {
+		const context = await super._prepareContext(options)
+
+		context.sizeChoices = buildChoices('DOLMEN.Item.Size', CHOICE_KEYS.sizes)
+		context.intelligenceChoices = buildChoices('DOLMEN.Creature.Intelligence', CHOICE_KEYS.intelligences)
+		context.saves = CHOICE_KEYS.saves.map(key => ({
+			key,
+			label: game.i18n.localize(`DOLMEN.Saves.${key.capitalize()}`),
+			value: this.actor.system.saves[key]
+		}))
+		context.attackTypeChoices = buildChoices('DOLMEN.Item.Quality', ['melee', 'missile'])
+		context.attackSaveChoices = {
+			none: game.i18n.localize('DOLMEN.Creature.NoSave'),
+			...Object.fromEntries(CHOICE_KEYS.saves.map(key => [key, game.i18n.localize(`DOLMEN.Saves.${key.capitalize()}`)]))
+		}
+		context.weapons = this.actor.items.contents
+			.filter(i => i.type === 'Weapon')
+			.map(i => this._prepareItemData(i))
+
+		return context
+	}
+
+	/**
+	 * Creatures without a matching weapon still attack: with their natural attacks of that
+	 * type if they have any, otherwise using their attack bonus alone.
+	 * @param {string} attackType - Either 'melee' or 'missile'
+	 * @param {Event} event - The click event
+	 */
+	_onAttackRoll(attackType, event) {
+		if (this._getEquippedWeaponsByQuality(attackType).length === 0) {
+			if (this.actor.system.attacks.some(a => a.type === attackType)) return this.actor.rollAttackRoutine({ type: attackType })
+			return this._rollAttackOnly(this._getNaturalAttack(), attackType)
+		}
+		return super._onAttackRoll(attackType, event)
+	}
+
+	/**
+	 * Build a stand-in weapon for the creature's own attack bonus.
+	 * @returns {object} Weapon-like object with name, img and system.damage
+	 */
+	_getNaturalAttack() {
+		return {
+			name: game.i18n.localize('DOLMEN.Combat.Attack'),
+			img: this.actor.img,
+			system: { damage: '' }
+		}
+	}
+
+	/**
+	 * Roll every natural attack against the targeted tokens.
+	 */
+	static async _onRollAttackRoutine() {
+		await this.actor.rollAttackRoutine()
+	}
+
+	/**
+	 * Add a blank natural attack to the routine.
+	 */
+	static async _onAddNaturalAttack() {
+		const attacks = foundry.utils.deepClone(this.actor.system.attacks)
+		attacks.push({ name: game.i18n.localize('DOLMEN.Creature.NewAttack'), count: 1, type: 'melee', damage: '1d6', effect: '', save: 'none' })
+		await this.actor.update({ 'system.attacks': attacks })
+	}
+
+	/**
+	 * Remove a natural attack from the routine.
+	 * @param {Event} _event - The click event
+	 * @param {HTMLElement} target - The clicked element with data-attack-index
+	 */
+	static async _onRemoveNaturalAttack(_event, target) {
+		const attacks = foundry.utils.deepClone(this.actor.system.attacks)
+		attacks.splice(Number(target.dataset.attackIndex), 1)
+		await this.actor.update({ 'system.attacks': attacks })
+	}
+
+	/**
+	 * Re-roll hit points from the creature's hit dice.
+	 */
+	static async _onRollHitPoints() {
+		const hp = await this.actor.rollHitPoints()
+		if (hp === undefined) {
+			ui.notifications.warn(game.i18n.format('DOLMEN.Creature.InvalidHPDice', { dice: this.actor.system.hpDice }))
+		}
+	}
+}
+
+export default DolmenCreatureSheet
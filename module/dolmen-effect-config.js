@@ -0,0 +1,30 @@
+/* global foundry, game, CONFIG */
+
+/**
+ * Active effect editor offering Dolmenwood attribute keys as suggestions for each change.
+ */
+class DolmenActiveEffectConfig extends foundry.applications.sheets.ActiveEffectConfig {
+	_onRender(context, options) {
+		super._onRender(context, options)
+
+		const listId = `${this.id}-attribute-keys`
+		let datalist = this.element.querySelector(`#${listId}`)
+		if (!datalist) {
+			datalist = document.createElement('datalist')
+			datalist.id = listId
+			for (const [key, label] of Object.entries(CONFIG.DOLMENWOOD.effectKeys)) {
+				const option = document.createElement('option')
+				option.value = key
+				option.label = game.i18n.localize(label)
+				datalist.append(option)
+			}
+			this.element.append(datalist)
+		}
+
+		for (const input of this.element.querySelectorAll('input[name^="changes."][name$=".key"]')) {
+			input.setAttribute('list', listId)
+		}
+	}
+}
+
+export default DolmenActiveEffectConfig
@@ -1,5 +1,6 @@
-/* global foundry, game, FilePicker */
+/* global foundry, game, FilePicker, CONFIG */
 import { buildChoices, buildQualityOptions, CHOICE_KEYS } from './utils/choices.js'
+import { prepareEffectList, getEffectFromTarget, createEffect, deleteEffect } from './utils/effects.js'
 
 const { HandlebarsApplicationMixin } = foundry.applications.api
 const { ItemSheetV2 } = foundry.applications.sheets
@@ -17,6 +18,12 @@ class DolmenItemSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 		},
 		window: {
 			resizable: true
+		},
+		actions: {
+			createEffect: DolmenItemSheet._onCreateEffect,
+			editEffect: DolmenItemSheet._onEditEffect,
+			toggleEffect: DolmenItemSheet._onToggleEffect,
+			deleteEffect: DolmenItemSheet._onDeleteEffect
 		}
 	}
 
@@ -41,6 +48,9 @@ class DolmenItemSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 		context.isForaged = this.item.type === 'Foraged'
 		context.isSpell = this.item.type === 'Spell'
 		context.isGenericItem = this.item.type === 'Item'
+		context.isKindred = this.item.type === 'Kindred'
+		context.isTrait = context.isKindred || this.item.type === 'Class'
+		context.isInventoryItem = !CONFIG.DOLMENWOOD.nonInventoryTypes.includes(this.item.type)
 
 		// Weapon choices
 		context.weaponSizeChoices = buildChoices('DOLMEN.Item.Size', CHOICE_KEYS.sizes)
@@ -53,12 +63,65 @@ class DolmenItemSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 		// Foraged choices
 		context.foragedTypeChoices = buildChoices('DOLMEN.Item.ForagedType', CHOICE_KEYS.foragedTypes)
 
+		// Gear choices
+		context.provisionChoices = buildChoices('DOLMEN.Item.Provision', CHOICE_KEYS.provisions)
+
 		// Spell choices
 		context.spellTypeChoices = buildChoices('DOLMEN.Item.SpellType', CHOICE_KEYS.spellTypes)
+		context.spellSaveChoices = { none: game.i18n.localize('DOLMEN.Item.Spell.NoSave') }
+		for (const save of CHOICE_KEYS.saves) {
+			context.spellSaveChoices[save] = game.i18n.localize(`DOLMEN.Saves.${save.capitalize()}`)
+		}
+
+		// Effects transferred to the owning actor
+		context.effects = prepareEffectList(this.item.effects)
+
+		// Kindred and class choices
+		if (context.isTrait) {
+			const grantedSkills = this.item.system.extraSkills.map(s => s.id)
+			context.traitSkillOptions = CONFIG.DOLMENWOOD.extraSkills.map(id => ({
+				id,
+				label: game.i18n.localize(`DOLMEN.Skills.${id}`),
+				checked: grantedSkills.includes(id)
+			}))
+			context.languagesText = this.item.system.languages.join(', ')
+			context.creatureTypeChoices = buildChoices('DOLMEN.CreatureTypes', CHOICE_KEYS.creatureTypes)
+			context.sizeChoices = buildChoices('DOLMEN.Item.Size', CHOICE_KEYS.sizes)
+		}
 
 		return context
 	}
 
+	static async _onCreateEffect() {
+		await createEffect(this.item)
+	}
+
+	static _onEditEffect(_event, target) {
+		getEffectFromTarget(this.item, target)?.sheet.render(true)
+	}
+
+	static async _onToggleEffect(_event, target) {
+		const effect = getEffectFromTarget(this.item, target)
+		if (effect) await effect.update({ disabled: !effect.disabled })
+	}
+
+	static async _onDeleteEffect(_event, target) {
+		const effect = getEffectFromTarget(this.item, target)
+		if (effect) await deleteEffect(effect)
+	}
+
+	/** @override */
+	_processFormData(event, form, formData) {
+		const data = super._processFormData(event, form, formData)
+
+		// Languages are edited as a comma-separated list
+		const languages = data.system?.languages
+		if (typeof languages === 'string') {
+			data.system.languages = languages.split(',').map(l => l.trim()).filter(Boolean)
+		}
+		return data
+	}
+
 	_onRender(context, options) {
 		super._onRender(context, options)
 
@@ -95,6 +158,16 @@ class DolmenItemSheet extends HandlebarsApplicationMixin(ItemSheetV2) {
 				this.item.update({ 'system.qualities': currentQualities })
 			})
 		})
+
+		// Handle granted skill checkbox changes (Kindred and Class)
+		this.element.querySelectorAll('.trait-skill-checkbox').forEach(checkbox => {
+			checkbox.addEventListener('change', (event) => {
+				const skillId = event.currentTarget.dataset.skill
+				const skills = this.item.system.extraSkills.filter(s => s.id !== skillId)
+				if (event.currentTarget.checked) skills.push({ id: skillId, target: 6 })
+				this.item.update({ 'system.extraSkills': skills })
+			})
+		})
 	}
 }
 
@@ -1,5 +1,37 @@
-/* global Item */
+/* global Item, game, ui */
 class DolmenItem extends Item {
 
+	/**
+	 * Whether this item is a Kindred or Class whose grants are applied to its owner.
+	 * @returns {boolean}
+	 */
+	get isTrait() {
+		return ['Kindred', 'Class'].includes(this.type) && this.parent?.type === 'Adventurer'
+	}
+
+	/** @override */
+	_onCreate(data, options, userId) {
+		super._onCreate(data, options, userId)
+		if (this.isTrait && options.applyTraits !== false && userId === game.user.id) {
+			this.parent.update(this.parent.getTraitUpdate(this, 1)).catch(err => this._onTraitUpdateError(err))
+		}
+	}
+
+	/** @override */
+	_onDelete(options, userId) {
+		super._onDelete(options, userId)
+		if (this.isTrait && options.applyTraits !== false && userId === game.user.id) {
+			this.parent.update(this.parent.getTraitUpdate(this, -1)).catch(err => this._onTraitUpdateError(err))
+		}
+	}
+
+	/**
+	 * Report a failure to apply or remove this trait item's grants on its owner.
+	 * @param {Error} err - The update error
+	 */
+	_onTraitUpdateError(err) {
+		console.error(err)
+		ui.notifications.error(game.i18n.format('DOLMEN.TraitUpdateFailed', { name: this.name, actor: this.parent.name }))
+	}
 }
-export default DolmenItem
\ No newline at end of file
+export default DolmenItem
@@ -1,5 +1,12 @@
-/* global foundry, game, Dialog, FilePicker, CONFIG, ui, Item, Roll, ChatMessage, CONST */
+/* global foundry, game, Dialog, FilePicker, CONFIG, ui, Item, Roll, ChatMessage, CONST, fromUuid */
 import { buildChoices, buildChoicesWithBlank, CHOICE_KEYS } from './utils/choices.js'
+import { openModifierDialog, formatModifier } from './utils/rolls.js'
+import { prepareEffectList, getEffectFromTarget, createEffect, deleteEffect } from './utils/effects.js'
+import { getCurrentMoon } from './calendar.js'
+import DolmenCharacterWizard from './dolmen-character-wizard.js'
+import { makeCamp } from './camp.js'
+import { openQuantityDialog, transferItem, transferCoins } from './transfer.js'
+import { getAttackTargets, buildTargetsHtml } from './damage.js'
 
 const TextEditor = foundry.applications.ux.TextEditor
 const { HandlebarsApplicationMixin } = foundry.applications.api
@@ -35,9 +42,24 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			stowItem: DolmenSheet._onStowItem,
 			deleteItem: DolmenSheet._onDeleteItem,
 			increaseQty: DolmenSheet._onIncreaseQty,
-			decreaseQty: DolmenSheet._onDecreaseQty
+			decreaseQty: DolmenSheet._onDecreaseQty,
+			splitItem: DolmenSheet._onSplitItem,
+			reloadWeapon: DolmenSheet._onReloadWeapon,
+			rollSave: DolmenSheet._onRollSave,
+			rollSkill: DolmenSheet._onRollSkill,
+			forage: DolmenSheet._onForage,
+			makeCamp: DolmenSheet._onMakeCamp,
+			castSpell: DolmenSheet._onCastSpell,
+			toggleMemorized: DolmenSheet._onToggleMemorized,
+			restoreSpells: DolmenSheet._onRestoreSpells,
+			rollMorale: DolmenSheet._onRollMorale,
+			configureActor: DolmenSheet._onConfigureActor,
+			createEffect: DolmenSheet._onCreateEffect,
+			editEffect: DolmenSheet._onEditEffect,
+			toggleEffect: DolmenSheet._onToggleEffect,
+			deleteEffect: DolmenSheet._onDeleteEffect
 		},
-		dragDrop: [{ dropSelector: '.item-list' }]
+		dragDrop: [{ dropSelector: '.item-list, .coins' }]
 	}
 
 	static PARTS = {
@@ -60,6 +82,10 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			template: 'systems/dolmenwood/templates/adventurer/parts/tab-details.html',
 			scrollable: ['.tab-details']
 		},
+		effects: {
+			template: 'systems/dolmenwood/templates/adventurer/parts/tab-effects.html',
+			scrollable: ['.tab-effects']
+		},
 		notes: {
 			template: 'systems/dolmenwood/templates/adventurer/parts/tab-notes.html',
 			scrollable: ['.tab-notes']
@@ -73,6 +99,7 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 				{ id: 'inventory', icon: 'fas fa-backpack', label: 'DOLMEN.Tabs.Inventory' },
 				{ id: 'magic', icon: 'fas fa-book-sparkles', label: 'DOLMEN.Tabs.Magic' },
 				{ id: 'details', icon: 'fas fa-eye', label: 'DOLMEN.Tabs.Details' },
+				{ id: 'effects', icon: 'fas fa-sparkles', label: 'DOLMEN.Tabs.Effects' },
 				{ id: 'notes', icon: 'fas fa-note-sticky', label: 'DOLMEN.Tabs.Notes' }
 			],
 			initial: 'stats'
@@ -128,6 +155,12 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		// Max extra skills for template conditional
 		context.maxExtraSkills = CONFIG.DOLMENWOOD.maxExtraSkills
 
+		// Slot limits for the slots encumbrance breakdown
+		context.slotLimits = {
+			equipped: CONFIG.DOLMENWOOD.encumbrance.slots.equipped.max,
+			stowed: CONFIG.DOLMENWOOD.encumbrance.slots.stowed.max
+		}
+
 		// Determine body/fur label based on kindred
 		const furKindreds = ['breggle', 'grimalkin']
 		const kindred = this.actor.system.kindred
@@ -136,7 +169,7 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			: game.i18n.localize('DOLMEN.ExtraDetails.Body')
 
 		// Prepare inventory items grouped by type
-		const items = this.actor.items.contents.filter(i => i.type !== 'Spell')
+		const items = this.actor.items.contents.filter(i => !CONFIG.DOLMENWOOD.nonInventoryTypes.includes(i.type))
 		const equippedItems = items.filter(i => i.system.equipped).map(i => this._prepareItemData(i))
 		const stowedItems = items.filter(i => !i.system.equipped).map(i => this._prepareItemData(i))
 
@@ -146,9 +179,63 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		context.hasEquippedItems = equippedItems.length > 0
 		context.hasStowedItems = stowedItems.length > 0
 
+		// Moon sign boon or bane
+		context.travelPoints = this.actor.getTravelPoints()
+		context.moonSign = this.actor.getMoonSign()
+		context.currentMoon = getCurrentMoon()
+		context.isBirthMoon = context.currentMoon.moon === this.actor.system.moonName
+
+		// Kindred and class trait items
+		context.traitItems = await Promise.all(this.actor.items.contents
+			.filter(i => i.type === 'Kindred' || i.type === 'Class')
+			.map(async i => ({
+				id: i.id,
+				name: i.name,
+				img: i.img,
+				typeLabel: game.i18n.localize(`TYPES.Item.${i.type}`),
+				traits: await TextEditor.enrichHTML(i.system.traits, { relativeTo: i })
+			})))
+
+		// Active effects on the actor and those transferred from its items
+		context.effects = prepareEffectList(this.actor.allApplicableEffects())
+
+		// Prepare spellbook grouped by spell type, with memorisation slots
+		const spells = this.actor.items.contents.filter(i => i.type === 'Spell')
+		context.spellGroups = this._groupSpellsByType(spells)
+		context.hasSpells = spells.length > 0
+		context.spellSlots = this.actor.getSpellSlots()
+		if (context.spellSlots) {
+			context.spellSlots.label = game.i18n.localize(`DOLMEN.Item.SpellType.${context.spellSlots.type}`)
+		}
+
 		return context
 	}
 
+	/**
+	 * Group spells by spell type for the Magic tab, sorted by rank and name.
+	 * @param {Item[]} spells - Array of spell items
+	 * @returns {object[]} Array of spell type groups with prepared spells
+	 */
+	_groupSpellsByType(spells) {
+		return CHOICE_KEYS.spellTypes
+			.map(type => ({
+				type,
+				label: game.i18n.localize(`DOLMEN.Item.SpellType.${type}`),
+				spells: spells
+					.filter(s => s.system.type === type)
+					.sort((a, b) => (a.system.rank - b.system.rank) || a.name.localeCompare(b.name))
+					.map(s => ({
+						id: s.id,
+						name: s.name,
+						img: s.img,
+						system: s.system,
+						usesSlots: this.actor.spellUsesSlots(s),
+						cssClass: s.system.expended ? 'expended' : ''
+					}))
+			}))
+			.filter(group => group.spells.length > 0)
+	}
+
 	/**
 	 * Group items by their type for display.
 	 * @param {object[]} items - Array of prepared item data
@@ -212,6 +299,7 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			system: item.system,
 			isWeapon: item.type === 'Weapon',
 			isArmor: item.type === 'Armor',
+			needsReload: item.type === 'Weapon' && !!item.system.qualities?.includes('reload'),
 			cssClass: item.type.toLowerCase(),
 			hasNotes: (item.system?.notes || "") === "" ? false : true
 		}
@@ -223,9 +311,10 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 				.map(q => this._getFaSymbol(q, item))
 				.join(', ')
 		}
-		// Add armor bulk display
+		// Add armor bulk display and flag armour that doesn't fit the wearer
 		if (data.isArmor) {
 			data.bulkDisplay = game.i18n.localize(`DOLMEN.Item.Bulk.${item.system.bulk}`)
+			data.badFit = !item.system.shield && item.system.fit !== this.actor.system.size
 			//data.faBulk = (item.system.bulk === 'light' ? 'fa-circle-quarter-stroke' : (item.system.bulk === 'medium' ? 'fa-circle-half-stroke' : 'fa-circle'))
 		}
 
@@ -236,7 +325,7 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		context = await super._preparePartContext(partId, context)
 
 		// For tab content parts, add the tab object
-		const tabIds = ['stats', 'inventory', 'magic', 'details', 'notes']
+		const tabIds = ['stats', 'inventory', 'magic', 'details', 'effects', 'notes']
 		if (tabIds.includes(partId)) {
 			context.tab = context.tabs?.primary?.[partId] || {
 				id: partId,
@@ -433,15 +522,17 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 				add: {
 					icon: '<i class="fas fa-plus"></i>',
 					label: game.i18n.localize('DOLMEN.XPAddButton'),
-					callback: (html) => {
+					callback: async (html) => {
 						const gained = parseInt(html.find('#xp-gained').val()) || 0
 						const bonus = parseInt(html.find('#xp-bonus').val()) || 0
 						const adjustedXP = Math.floor(gained * (1 + bonus / 100))
 						const newXP = currentXP + adjustedXP
-						this.actor.update({
+						await this.actor.update({
 							'system.xp.value': newXP,
 							'system.xp.modifier': bonus
 						})
+						const newLevel = this.actor.getLevelForXP(newXP)
+						if (newLevel > this.actor.system.level) this._openLevelUpDialog(newLevel)
 					}
 				},
 				cancel: {
@@ -470,6 +561,65 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		dialog.render(true)
 	}
 
+	/**
+	 * Open a dialog previewing a level advancement, applying it on confirmation.
+	 * @param {number} level - The level the actor has reached
+	 */
+	_openLevelUpDialog(level) {
+		const actor = this.actor
+		const progression = actor.getClassProgression()
+		const advancement = actor.getLevelAdvancement(level)
+
+		const hitDiceLevels = Math.max(0, Math.min(level, CONFIG.DOLMENWOOD.hitDiceMaxLevel) - actor.system.level)
+		const flatHP = (level - actor.system.level - hitDiceLevels) * progression.hpPerLevel
+		const conMod = actor.system.abilities.constitution.mod
+		const hpParts = []
+		if (hitDiceLevels) hpParts.push(`${hitDiceLevels} &times; (${progression.hitDie}${conMod ? ` ${formatModifier(conMod)}` : ''})`)
+		if (flatHP) hpParts.push(`${flatHP}`)
+
+		const row = (label, from, to) => `
+			<tr>
+				<td>${label}</td>
+				<td>${from}</td>
+				<td><i class="fas fa-arrow-right"></i></td>
+				<td><strong>${to}</strong></td>
+			</tr>
+		`
+		const saveRows = CHOICE_KEYS.saves
+			.map(key => row(game.i18n.localize(`DOLMEN.Saves.${key.capitalize()}`), actor.system.saves[key], advancement.saves[key]))
+			.join('')
+
+		const content = `
+			<div class="level-up-modal-content">
+				<p>${game.i18n.format('DOLMEN.LevelUp.Reached', { level, class: actor.getClassLabel() })}</p>
+				<table class="level-up-table">
+					${row(game.i18n.localize('DOLMEN.Level'), actor.system.level, level)}
+					${row(game.i18n.localize('DOLMEN.Combat.HP'), actor.system.hp.max, `+ ${hpParts.join(' + ')}`)}
+					${row(game.i18n.localize('DOLMEN.Combat.Attack'), formatModifier(actor.system.attack), formatModifier(advancement.attack))}
+					${saveRows}
+					${row(game.i18n.localize('DOLMEN.NextLevel'), actor.system.xp.nextLevel, advancement.nextLevel)}
+				</table>
+			</div>
+		`
+
+		new Dialog({
+			title: game.i18n.localize('DOLMEN.LevelUp.Title'),
+			content,
+			buttons: {
+				levelUp: {
+					icon: '<i class="fas fa-arrow-up"></i>',
+					label: game.i18n.localize('DOLMEN.LevelUp.Button'),
+					callback: () => actor.levelUp(level)
+				},
+				cancel: {
+					icon: '<i class="fas fa-times"></i>',
+					label: game.i18n.localize('DOLMEN.Cancel')
+				}
+			},
+			default: 'levelUp'
+		}).render(true)
+	}
+
 	_openAddSkillDialog() {
 		const currentSkills = this.actor.system.extraSkills || []
 		const currentSkillIds = currentSkills.map(s => s.id)
@@ -659,7 +809,8 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 	}
 
 	/**
-	 * Open a context menu to choose roll type (attack only or damage only).
+	 * Open a context menu to choose roll type: attack only, damage only, or one of the
+	 * combat options from CONFIG.DOLMENWOOD.combat.manoeuvres.
 	 * @param {Item[]} weapons - Array of weapons to potentially roll with
 	 * @param {string} attackType - Either 'melee' or 'missile'
 	 * @param {object} position - Position object with top and left properties
@@ -668,6 +819,16 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		const attackOnlyLabel = game.i18n.localize('DOLMEN.Attack.RollAttackOnly')
 		const damageOnlyLabel = game.i18n.localize('DOLMEN.Attack.RollDamageOnly')
 
+		const manoeuvres = Object.entries(CONFIG.DOLMENWOOD.combat.manoeuvres)
+			.filter(([, manoeuvre]) => !manoeuvre.attackTypes || manoeuvre.attackTypes.includes(attackType))
+			.map(([key, manoeuvre]) => `
+				<div class="weapon-menu-item" data-roll-type="manoeuvre" data-manoeuvre="${key}" title="${this._buildManoeuvreNote(key, manoeuvre)}">
+					<i class="fas ${manoeuvre.icon}"></i>
+					<span class="weapon-name">${game.i18n.localize(`DOLMEN.Attack.Manoeuvre.${key}.Name`)}</span>
+					<span class="weapon-damage">${manoeuvre.attack ? formatModifier(manoeuvre.attack) : ''}</span>
+				</div>
+			`).join('')
+
 		const html = `
 			<div class="weapon-menu-item" data-roll-type="attack">
 				<i class="fas fa-dice-d20"></i>
@@ -677,23 +838,20 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 				<i class="fas fa-burst"></i>
 				<span class="weapon-name">${damageOnlyLabel}</span>
 			</div>
+			${manoeuvres}
 		`
 
 		this._createContextMenu({
 			html,
 			position,
 			onItemClick: (item, menu) => {
-				const rollType = item.dataset.rollType
+				const { rollType, manoeuvre } = item.dataset
 				menu.remove()
 
 				if (weapons.length === 1) {
-					if (rollType === 'attack') {
-						this._rollAttackOnly(weapons[0], attackType)
-					} else if (rollType === 'damage') {
-						this._rollDamageOnly(weapons[0], attackType)
-					}
+					this._rollFromMenu(weapons[0], attackType, rollType, manoeuvre)
 				} else {
-					setTimeout(() => this._openWeaponSelectionMenu(weapons, attackType, rollType, position), 0)
+					setTimeout(() => this._openWeaponSelectionMenu(weapons, attackType, rollType, position, manoeuvre), 0)
 				}
 			}
 		})
@@ -703,27 +861,39 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 	 * Open weapon selection menu after roll type has been chosen.
 	 * @param {Item[]} weapons - Array of available weapons
 	 * @param {string} attackType - Either 'melee' or 'missile'
-	 * @param {string} rollType - Either 'attack' or 'damage'
+	 * @param {string} rollType - Either 'attack', 'damage' or 'manoeuvre'
 	 * @param {object} position - Position object with top and left properties
+	 * @param {string} [manoeuvre] - Key of the chosen combat option
 	 */
-	_openWeaponSelectionMenu(weapons, attackType, rollType, position) {
+	_openWeaponSelectionMenu(weapons, attackType, rollType, position, manoeuvre) {
 		this._createContextMenu({
 			html: this._buildWeaponMenuHtml(weapons),
 			position,
 			onItemClick: (item, menu) => {
 				const weapon = this.actor.items.get(item.dataset.weaponId)
-				if (weapon) {
-					if (rollType === 'attack') {
-						this._rollAttackOnly(weapon, attackType)
-					} else if (rollType === 'damage') {
-						this._rollDamageOnly(weapon, attackType)
-					}
-				}
+				if (weapon) this._rollFromMenu(weapon, attackType, rollType, manoeuvre)
 				menu.remove()
 			}
 		})
 	}
 
+	/**
+	 * Roll the choice made in the roll type menu.
+	 * @param {Item} weapon - The weapon to use
+	 * @param {string} attackType - Either 'melee' or 'missile'
+	 * @param {string} rollType - Either 'attack', 'damage' or 'manoeuvre'
+	 * @param {string} [manoeuvre] - Key of the chosen combat option
+	 */
+	_rollFromMenu(weapon, attackType, rollType, manoeuvre) {
+		if (rollType === 'attack') {
+			this._rollAttackOnly(weapon, attackType)
+		} else if (rollType === 'damage') {
+			this._rollDamageOnly(weapon, attackType)
+		} else if (rollType === 'manoeuvre') {
+			this._performAttackRoll(weapon, attackType, { manoeuvre })
+		}
+	}
+
 	/**
 	 * Open a context menu to select which weapon to attack with.
 	 * @param {Item[]} weapons - Array of available weapons
@@ -755,9 +925,10 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 	_getAttackModifiers(attackType) {
 		const system = this.actor.system
 		const attackMod = system.attack || 0
+		// Creatures have no ability scores
 		const abilityMod = attackType === 'melee'
-			? system.abilities.strength.mod
-			: system.abilities.dexterity.mod
+			? system.abilities?.strength.mod ?? 0
+			: system.abilities?.dexterity.mod ?? 0
 		return {
 			attackMod,
 			abilityMod,
@@ -774,6 +945,52 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		return totalMod >= 0 ? `1d20 + ${totalMod}` : `1d20 - ${Math.abs(totalMod)}`
 	}
 
+	/**
+	 * Describe a combat option from its configured modifiers and its rules text.
+	 * @param {string} key - Key of the combat option
+	 * @param {object} manoeuvre - The option from CONFIG.DOLMENWOOD.combat.manoeuvres
+	 * @returns {string} Note like "Fighting defensively: -4 to hit, +2 AC until the next round."
+	 */
+	_buildManoeuvreNote(key, manoeuvre) {
+		const parts = []
+		if (manoeuvre.attack) parts.push(game.i18n.format('DOLMEN.Attack.ManoeuvreToHit', { mod: formatModifier(manoeuvre.attack) }))
+		if (manoeuvre.damage) parts.push(game.i18n.format('DOLMEN.Attack.ManoeuvreDamage', { damage: manoeuvre.damage }))
+		if (manoeuvre.ac) parts.push(game.i18n.format('DOLMEN.Attack.ManoeuvreAC', { ac: formatModifier(manoeuvre.ac) }))
+		const effectKey = `DOLMEN.Attack.Manoeuvre.${key}.Effect`
+		if (game.i18n.has(effectKey)) parts.push(game.i18n.localize(effectKey))
+		return `${game.i18n.localize(`DOLMEN.Attack.Manoeuvre.${key}.Name`)}: ${parts.join(', ')}.`
+	}
+
+	/**
+	 * Give the attacker a combat option's armour class bonus until the next round. The bonus
+	 * is only tracked in a started combat that includes the actor, where DolmenCombat removes
+	 * it when the round ends.
+	 * @param {string} key - Key of the combat option
+	 * @param {object} manoeuvre - The option from CONFIG.DOLMENWOOD.combat.manoeuvres
+	 */
+	async _applyManoeuvreEffect(key, manoeuvre) {
+		const combat = game.combat
+		if (!combat?.started || !combat.getCombatantsByActor(this.actor).length) return
+
+		await this.actor.createEmbeddedDocuments('ActiveEffect', [{
+			name: game.i18n.localize(`DOLMEN.Attack.Manoeuvre.${key}.Name`),
+			img: 'icons/svg/shield.svg',
+			origin: this.actor.uuid,
+			duration: { rounds: 1 },
+			changes: [{ key: 'system.ac', mode: CONST.ACTIVE_EFFECT_MODES.ADD, value: String(manoeuvre.ac) }],
+			flags: { dolmenwood: { manoeuvre: key } }
+		}])
+	}
+
+	/**
+	 * Remove the armour class bonus of an earlier combat option, which lasts only until the
+	 * attacker's next attack.
+	 */
+	async _clearManoeuvreEffects() {
+		const existing = this.actor.effects.filter(e => e.getFlag('dolmenwood', 'manoeuvre'))
+		if (existing.length) await this.actor.deleteEmbeddedDocuments('ActiveEffect', existing.map(e => e.id))
+	}
+
 	/**
 	 * Get critical/fumble state from an attack roll.
 	 * @param {Roll} attackRoll - The evaluated attack roll
@@ -800,11 +1017,14 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 	 * @param {object} config - Configuration object
 	 * @param {Item} config.weapon - The weapon used
 	 * @param {string} config.attackType - 'melee' or 'missile'
-	 * @param {object} [config.attack] - Attack roll data (anchor, formula, resultClass, resultLabel)
-	 * @param {object} [config.damage] - Damage roll data (anchor, formula)
+	 * @param {object} [config.attack] - Attack roll data (anchor, formula, total, resultClass, resultLabel)
+	 * @param {object} [config.damage] - Damage roll data (anchor, formula, total)
+	 * @param {object[]} [config.targets] - Targeted tokens from getAttackTargets()
+	 * @param {string[]} [config.situations] - Labels for the combat option, range band, charge or brace
+	 * @param {string[]} [config.notes] - Reminders of effects that are not rolled
 	 * @returns {string} HTML content for the chat message
 	 */
-	_buildAttackChatHtml({ weapon, attackType, attack, damage }) {
+	_buildAttackChatHtml({ weapon, attackType, attack, damage, targets = [], situations = [], notes = [] }) {
 		const attackTypeName = game.i18n.localize(`DOLMEN.Item.Quality.${attackType}`)
 
 		let rollSections = ''
@@ -836,14 +1056,79 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 					<img src="${weapon.img}" alt="${weapon.name}" class="weapon-icon">
 					<div class="attack-info">
 						<h3>${weapon.name}</h3>
-						<span class="attack-type">${attackTypeName}</span>
+						<span class="attack-type">${[attackTypeName, ...situations].join(' &middot; ')}</span>
 					</div>
 				</div>
-				<div class="roll-results">${rollSections}</div>
+				${rollSections ? `<div class="roll-results">${rollSections}</div>` : ''}
+				${notes.map(note => `<p class="attack-note">${note}</p>`).join('')}
+				${buildTargetsHtml(targets, { attackTotal: attack?.total, resultClass: attack?.resultClass, damage: damage?.total, qualities: weapon.system.qualities ?? [] })}
 			</div>
 		`
 	}
 
+	/**
+	 * Ask for the situation of an attack when the weapon's qualities depend on it: the range
+	 * band of a missile attack, and whether a charge or brace weapon deals extra damage.
+	 * @param {Item} weapon - The weapon used
+	 * @param {string} attackType - Either 'melee' or 'missile'
+	 * @param {object} rolled - Which rolls are made
+	 * @param {boolean} rolled.attack - Whether an attack roll is made
+	 * @param {boolean} rolled.damage - Whether a damage roll is made
+	 * @returns {Promise<object|null>} Chosen range, charging and braced options, or null if cancelled
+	 */
+	_openAttackOptionsDialog(weapon, attackType, rolled) {
+		const system = weapon.system
+		const qualities = system.qualities ?? []
+		const hasRange = rolled.attack && attackType === 'missile' && (system.rangeShort || system.rangeMedium || system.rangeLong)
+		const canCharge = rolled.damage && qualities.includes('charge')
+		const canBrace = rolled.damage && qualities.includes('brace')
+		if (!hasRange && !canCharge && !canBrace) return Promise.resolve({})
+
+		const rangeOptions = Object.entries(CONFIG.DOLMENWOOD.combat.rangeModifiers).map(([band, mod]) => {
+			const distance = system[`range${band.capitalize()}`]
+			const label = `${game.i18n.localize(`DOLMEN.Item.Range.${band}`)} (${distance}') ${mod > 0 ? '+' : ''}${mod || ''}`
+			return `<option value="${band}" ${band === 'short' ? 'selected' : ''}>${label}</option>`
+		}).join('')
+		const checkbox = (name, label) => `
+			<div class="form-group">
+				<label>${game.i18n.localize(label)}</label>
+				<input type="checkbox" name="${name}">
+			</div>`
+
+		const content = `
+			<div class="modifier-modal-content attack-options">
+				${hasRange ? `<div class="form-group"><label>${game.i18n.localize('DOLMEN.Attack.RangeBand')}</label><select name="range">${rangeOptions}</select></div>` : ''}
+				${canCharge ? checkbox('charging', 'DOLMEN.Attack.Charging') : ''}
+				${canBrace ? checkbox('braced', 'DOLMEN.Attack.Braced') : ''}
+			</div>
+		`
+
+		return new Promise(resolve => {
+			new Dialog({
+				title: `${weapon.name}: ${game.i18n.localize('DOLMEN.Attack.Options')}`,
+				content,
+				buttons: {
+					roll: {
+						icon: '<i class="fas fa-dice-d20"></i>',
+						label: game.i18n.localize('DOLMEN.Roll.Roll'),
+						callback: (html) => resolve({
+							range: html.find('[name="range"]').val(),
+							charging: html.find('[name="charging"]').prop('checked') ?? false,
+							braced: html.find('[name="braced"]').prop('checked') ?? false
+						})
+					},
+					cancel: {
+						icon: '<i class="fas fa-times"></i>',
+						label: game.i18n.localize('DOLMEN.Cancel'),
+						callback: () => resolve(null)
+					}
+				},
+				default: 'roll',
+				close: () => resolve(null)
+			}).render(true)
+		})
+	}
+
 	/**
 	 * Unified attack roll method supporting attack-only, damage-only, or both.
 	 * @param {Item} weapon - The weapon to use
@@ -851,16 +1136,44 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 	 * @param {object} [options] - Roll options
 	 * @param {boolean} [options.attackOnly=false] - Only roll attack (no damage)
 	 * @param {boolean} [options.damageOnly=false] - Only roll damage (no attack)
+	 * @param {string} [options.manoeuvre] - Key of a combat option from CONFIG.DOLMENWOOD.combat.manoeuvres
 	 */
-	async _performAttackRoll(weapon, attackType, { attackOnly = false, damageOnly = false } = {}) {
+	async _performAttackRoll(weapon, attackType, { attackOnly = false, damageOnly = false, manoeuvre: manoeuvreKey } = {}) {
+		const combat = CONFIG.DOLMENWOOD.combat
+		const manoeuvre = manoeuvreKey ? combat.manoeuvres[manoeuvreKey] : null
+		const rollsAttack = !damageOnly && manoeuvre?.attack !== false
+		const rollsDamage = !attackOnly && manoeuvre?.damage !== false
+		const qualities = weapon.system.qualities ?? []
+		const needsReload = rollsAttack && qualities.includes('reload')
+		if (needsReload && !weapon.system.loaded) {
+			ui.notifications.warn(game.i18n.format('DOLMEN.Attack.NotLoaded', { name: weapon.name }))
+			return
+		}
+
+		const options = await this._openAttackOptionsDialog(weapon, attackType, { attack: rollsAttack, damage: rollsDamage })
+		if (!options) return
+
 		const rolls = []
+		const situations = []
+		const notes = []
+		const targets = rollsAttack || rollsDamage ? getAttackTargets(qualities) : []
 		let attackData = null
 		let damageData = null
 
+		if (manoeuvre) {
+			const label = game.i18n.localize(`DOLMEN.Attack.Manoeuvre.${manoeuvreKey}.Name`)
+			situations.push(manoeuvre.attack ? `${label} (${formatModifier(manoeuvre.attack)})` : label)
+			notes.push(this._buildManoeuvreNote(manoeuvreKey, manoeuvre))
+		}
+
 		// Handle attack roll
-		if (!damageOnly) {
+		if (rollsAttack) {
 			const { totalMod } = this._getAttackModifiers(attackType)
-			const formula = this._buildAttackFormula(totalMod)
+			const manoeuvreMod = manoeuvre?.attack || 0
+			const rangeMod = options.range ? combat.rangeModifiers[options.range] : 0
+			if (options.range) situations.push(`${game.i18n.localize(`DOLMEN.Item.Range.${options.range}`)}${rangeMod ? ` (${formatModifier(rangeMod)})` : ''}`)
+
+			const formula = this._buildAttackFormula(totalMod + manoeuvreMod + rangeMod)
 			const roll = new Roll(formula)
 			await roll.evaluate()
 			rolls.push(roll)
@@ -869,29 +1182,50 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			attackData = {
 				anchor: await roll.toAnchor({ classes: ['attack-inline-roll'] }),
 				formula,
+				total: roll.total,
 				resultClass,
 				resultLabel
 			}
 		}
 
 		// Handle damage roll
-		if (!attackOnly) {
-			const roll = new Roll(weapon.system.damage)
+		if (rollsDamage) {
+			let multiplier = 1
+			if (options.charging) {
+				multiplier *= combat.chargeDamageMultiplier
+				situations.push(game.i18n.localize('DOLMEN.Attack.Charging'))
+			}
+			if (options.braced) {
+				multiplier *= combat.braceDamageMultiplier
+				situations.push(game.i18n.localize('DOLMEN.Attack.Braced'))
+			}
+			const baseDamage = manoeuvre?.damage || weapon.system.damage
+			const formula = multiplier === 1 ? baseDamage : `(${baseDamage}) * ${multiplier}`
+			const roll = new Roll(formula)
 			await roll.evaluate()
 			rolls.push(roll)
 
 			damageData = {
 				anchor: await roll.toAnchor({ classes: ['damage-inline-roll'] }),
-				formula: weapon.system.damage
+				formula,
+				total: roll.total
 			}
 		}
 
+		// Firing a reload weapon empties it until it is reloaded
+		if (needsReload) await weapon.update({ 'system.loaded': false })
+		await this._clearManoeuvreEffects()
+		if (manoeuvre?.ac) await this._applyManoeuvreEffect(manoeuvreKey, manoeuvre)
+
 		// Build and send chat message
 		const chatContent = this._buildAttackChatHtml({
 			weapon,
 			attackType,
 			attack: attackData,
-			damage: damageData
+			damage: damageData,
+			targets,
+			situations,
+			notes
 		})
 
 		await ChatMessage.create({
@@ -929,6 +1263,161 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		return this._performAttackRoll(weapon, attackType, { damageOnly: true })
 	}
 
+	/**
+	 * Roll a saving throw. Shift-click opens a situational modifier dialog.
+	 * @param {Event} event - The click event
+	 * @param {HTMLElement} target - The clicked element with data-save
+	 */
+	static async _onRollSave(event, target) {
+		const saveKey = target.dataset.save
+		let modifier = 0
+		if (event.shiftKey) {
+			const saveName = game.i18n.localize(`DOLMEN.Saves.${saveKey.capitalize()}`)
+			modifier = await openModifierDialog(game.i18n.format('DOLMEN.Saves.RollTitle', { save: saveName }))
+			if (modifier === null) return
+		}
+		await this.actor.rollSave(saveKey, { modifier })
+	}
+
+	/**
+	 * Roll a skill check. Shift-click opens a situational modifier dialog.
+	 * @param {Event} event - The click event
+	 * @param {HTMLElement} target - The clicked element with data-skill
+	 */
+	static async _onRollSkill(event, target) {
+		const skillId = target.dataset.skill
+		let modifier = 0
+		if (event.shiftKey) {
+			const skillName = this.actor.constructor.getSkillLabel(skillId)
+			modifier = await openModifierDialog(game.i18n.format('DOLMEN.Skills.RollTitle', { skill: skillName }))
+			if (modifier === null) return
+		}
+		await this.actor.rollSkill(skillId, { modifier })
+	}
+
+	/**
+	 * Forage, hunt or fish: choose the activity and a situational modifier, then roll Survival.
+	 */
+	static async _onForage() {
+		const choice = await this._openForageDialog()
+		if (!choice) return
+		await this.actor.forage(choice.activity, { modifier: choice.modifier })
+	}
+
+	/**
+	 * Open a dialog to choose a foraging activity and a Survival modifier.
+	 * @returns {Promise<object|null>} The chosen activity and modifier, or null if cancelled
+	 */
+	_openForageDialog() {
+		return new Promise(resolve => {
+			const content = `
+				<div class="modifier-modal-content">
+					<div class="form-group">
+						<label>${game.i18n.localize('DOLMEN.Roll.Modifier')}</label>
+						<input type="number" id="roll-modifier" value="0">
+					</div>
+				</div>
+			`
+			const icons = { foraging: 'fa-seedling', hunting: 'fa-crosshairs', fishing: 'fa-fish' }
+			const buttons = {}
+			for (const activity of CONFIG.DOLMENWOOD.foraging.activities) {
+				buttons[activity] = {
+					icon: `<i class="fas ${icons[activity] ?? 'fa-seedling'}"></i>`,
+					label: game.i18n.localize(`DOLMEN.Foraging.Activities.${activity}`),
+					callback: (html) => resolve({ activity, modifier: parseInt(html.find('#roll-modifier').val()) || 0 })
+				}
+			}
+
+			new Dialog({
+				title: game.i18n.localize('DOLMEN.Foraging.Title'),
+				content,
+				buttons,
+				default: 'foraging',
+				close: () => resolve(null)
+			}).render(true)
+		})
+	}
+
+	/**
+	 * Make camp for this actor: choose a night in camp or a full day of rest.
+	 */
+	static async _onMakeCamp() {
+		const type = await new Promise(resolve => {
+			new Dialog({
+				title: game.i18n.localize('DOLMEN.Rest.Title'),
+				content: `<p>${game.i18n.localize('DOLMEN.Rest.Prompt')}</p>`,
+				buttons: {
+					night: {
+						icon: '<i class="fas fa-campground"></i>',
+						label: game.i18n.localize('DOLMEN.Rest.Types.night'),
+						callback: () => resolve('night')
+					},
+					day: {
+						icon: '<i class="fas fa-bed"></i>',
+						label: game.i18n.localize('DOLMEN.Rest.Types.day'),
+						callback: () => resolve('day')
+					}
+				},
+				default: 'night',
+				close: () => resolve(null)
+			}).render(true)
+		})
+		if (type) await makeCamp([this.actor], { type })
+	}
+
+	/**
+	 * Roll a morale check. Shift-click opens a situational modifier dialog.
+	 * @param {Event} event - The click event
+	 */
+	static async _onRollMorale(event) {
+		let modifier = 0
+		if (event.shiftKey) {
+			modifier = await openModifierDialog(game.i18n.localize('DOLMEN.Morale.Check'))
+			if (modifier === null) return
+		}
+		await this.actor.rollMorale({ modifier })
+	}
+
+	/**
+	 * Open the character creation wizard.
+	 */
+	static _onConfigureActor() {
+		new DolmenCharacterWizard(this.actor).render(true)
+	}
+
+	static async _onCreateEffect() {
+		await createEffect(this.actor)
+	}
+
+	static _onEditEffect(_event, target) {
+		getEffectFromTarget(this.actor, target)?.sheet.render(true)
+	}
+
+	static async _onToggleEffect(_event, target) {
+		const effect = getEffectFromTarget(this.actor, target)
+		if (effect) await effect.update({ disabled: !effect.disabled })
+	}
+
+	static async _onDeleteEffect(_event, target) {
+		const effect = getEffectFromTarget(this.actor, target)
+		if (effect) await deleteEffect(effect)
+	}
+
+	static async _onCastSpell(_event, target) {
+		const spell = this.actor.items.get(target.dataset.itemId)
+		if (spell) await this.actor.castSpell(spell)
+	}
+
+	static async _onToggleMemorized(_event, target) {
+		const spell = this.actor.items.get(target.dataset.itemId)
+		if (spell) await this.actor.toggleMemorized(spell)
+	}
+
+	static async _onRestoreSpells() {
+		const restored = await this.actor.restoreSpells()
+		ui.notifications.info(game.i18n.format('DOLMEN.Magic.Restored', { name: this.actor.name, count: restored }))
+	}
+
 	static _onAddSkill(_event, _target) {
 		this._openAddSkillDialog()
 	}
@@ -989,7 +1478,7 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 		}
 	}
 
-	static async _onDecreaseQty(_event, target) {
+	static async _onDecreaseQty(event, target) {
 		const itemId = target.dataset.itemId
 		if (itemId) {
 			const item = this.actor.items.get(itemId)
@@ -997,24 +1486,84 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 				const currentQty = item.system.quantity || 1
 				if (currentQty > 1) {
 					await item.update({ 'system.quantity': currentQty - 1 })
+				} else {
+					// Going below one removes the item, once confirmed
+					await DolmenSheet._onDeleteItem.call(this, event, target)
 				}
 			}
 		}
 	}
 
+	static async _onReloadWeapon(_event, target) {
+		const weapon = this.actor.items.get(target.dataset.itemId)
+		if (weapon) await weapon.update({ 'system.loaded': !weapon.system.loaded })
+	}
+
+	static async _onSplitItem(_event, target) {
+		const item = this.actor.items.get(target.dataset.itemId)
+		if (!item || (item.system.quantity || 1) < 2) return
+
+		const quantity = await openQuantityDialog({
+			title: game.i18n.localize('DOLMEN.Inventory.Split'),
+			label: game.i18n.format('DOLMEN.Inventory.SplitQuantity', { name: item.name }),
+			max: item.system.quantity - 1,
+			value: Math.floor(item.system.quantity / 2),
+			icon: 'fa-arrows-split-up-and-left'
+		})
+		if (quantity) await this.actor.splitStack(item, quantity)
+	}
+
+	/**
+	 * Owners may drop anything; other users who can see the sheet may only offer items and
+	 * coins from their own actors, which _onDrop routes to a transfer request.
+	 * @override
+	 */
+	_canDragDrop() {
+		return this.isEditable || this.actor.testUserPermission(game.user, 'OBSERVER')
+	}
+
+	/** @override */
+	_onDragStart(event) {
+		const coin = event.currentTarget.closest('[data-coin]')
+		if (!coin) return super._onDragStart(event)
+
+		event.dataTransfer.setData('text/plain', JSON.stringify({
+			type: 'Coins',
+			actorUuid: this.actor.uuid,
+			denomination: coin.dataset.coin
+		}))
+	}
+
 	async _onDrop(event) {
 		const data = TextEditor.getDragEventData(event)
 
+		if (data.type === 'Coins') return this._onDropCoins(data)
+
 		// Handle item drops
 		if (data.type === 'Item') {
 			const targetList = event.target.closest('[data-item-list]')?.dataset.itemList
 			const item = await Item.fromDropData(data)
+			const source = item.parent
+
+			// Inventory items owned by another actor are given to this one (a transfer request
+			// when this sheet is not editable); nothing else may be dropped on a sheet one cannot edit
+			const isInventoryItem = !CONFIG.DOLMENWOOD.nonInventoryTypes.includes(item.type)
+			if (isInventoryItem && source && source !== this.actor) return this._onDropTransfer(item, targetList === 'equipped')
+			if (!this.isEditable) return
+
+			// Kindred and class items replace the current one and apply their grants
+			if (item.type === 'Kindred' || item.type === 'Class') {
+				if (this.actor.type === 'Adventurer' && item.parent !== this.actor) {
+					await this.actor.addTraitItem(item.toObject())
+				}
+				return
+			}
 
-			// If dropped from another actor or compendium, create a copy
+			// If dropped from the sidebar or a compendium, add a copy, stacking onto a matching item
 			if (item.parent !== this.actor) {
 				const itemData = item.toObject()
 				itemData.system.equipped = targetList === 'equipped'
-				await this.actor.createEmbeddedDocuments('Item', [itemData])
+				await this.actor.addItemStack(itemData)
 			} else {
 				// If dropped within the same actor, toggle equipped state
 				const equipped = targetList === 'equipped'
@@ -1024,6 +1573,45 @@ class DolmenSheet extends HandlebarsApplicationMixin(ActorSheetV2) {
 			}
 		}
 	}
+
+	/**
+	 * Give an item from another actor to this one, asking how many when it is a stack.
+	 * @param {Item} item - The dropped item
+	 * @param {boolean} equipped - Whether it was dropped on the equipped list
+	 */
+	async _onDropTransfer(item, equipped) {
+		if (!item.parent.isOwner) return
+
+		let quantity = item.system.quantity || 1
+		if (quantity > 1) {
+			quantity = await openQuantityDialog({
+				title: game.i18n.localize('DOLMEN.Transfer.Give'),
+				label: game.i18n.format('DOLMEN.Transfer.Quantity', { name: item.name, target: this.actor.name }),
+				max: quantity
+			})
+			if (!quantity) return
+		}
+		await transferItem(item, this.actor, { quantity, equipped })
+	}
+
+	/**
+	 * Give coins of one denomination from another actor to this one.
+	 * @param {object} data - Drag data with the giving actor's uuid and the denomination
+	 */
+	async _onDropCoins(data) {
+		const source = await fromUuid(data.actorUuid)
+		if (!source?.isOwner || source === this.actor) return
+
+		const available = source.system.coins?.[data.denomination] ?? 0
+		if (!available) return
+		const coinLabel = game.i18n.localize(`DOLMEN.Coins.${data.denomination.capitalize()}`)
+		const amount = await openQuantityDialog({
+			title: game.i18n.localize('DOLMEN.Transfer.GiveCoins'),
+			label: game.i18n.format('DOLMEN.Transfer.Quantity', { name: coinLabel, target: this.actor.name }),
+			max: available
+		})
+		if (amount) await transferCoins(source, this.actor, { [data.denomination]: amount })
+	}
 }
 
 export default DolmenSheet
@@ -0,0 +1,151 @@
+/* global foundry, game, canvas, CONFIG */
+import { planTravel, postJourneyLog } from './travel.js'
+import { buildChoices } from './utils/choices.js'
+import { makeCamp } from './camp.js'
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api
+
+/**
+ * Party travel calculator: pick the terrain and weather for the day, see how many
+ * hexes the selected party can cross, and write the day to the journey log.
+ */
+class DolmenTravel extends HandlebarsApplicationMixin(ApplicationV2) {
+	constructor(options = {}) {
+		super(options)
+		this.party = []
+		this.travel = { terrain: 'openForest', weather: 'fair', notes: '', advanceDay: true }
+		this._useSelected()
+	}
+
+	static DEFAULT_OPTIONS = {
+		id: 'dolmen-travel',
+		classes: ['dolmen', 'travel'],
+		tag: 'form',
+		form: {
+			handler: DolmenTravel._onChangeForm,
+			submitOnChange: true,
+			closeOnSubmit: false
+		},
+		position: {
+			width: 380,
+			height: 'auto'
+		},
+		window: {
+			title: 'DOLMEN.Travel.Title',
+			icon: 'fas fa-route'
+		},
+		actions: {
+			useSelected: DolmenTravel._onUseSelected,
+			removeMember: DolmenTravel._onRemoveMember,
+			logJourney: DolmenTravel._onLogJourney,
+			makeCamp: DolmenTravel._onMakeCamp
+		}
+	}
+
+	static PARTS = {
+		travel: {
+			template: 'systems/dolmenwood/templates/travel/travel.html'
+		}
+	}
+
+	/** @type {DolmenTravel|null} */
+	static #instance = null
+
+	/**
+	 * Open the travel tool, reusing the window if it is already open.
+	 * @returns {DolmenTravel} The travel application
+	 */
+	static open() {
+		DolmenTravel.#instance ??= new DolmenTravel()
+		DolmenTravel.#instance.render(true)
+		return DolmenTravel.#instance
+	}
+
+	/**
+	 * Add a travel button to the token controls.
+	 * @param {object} controls - Scene control groups keyed by name
+	 */
+	static onGetSceneControlButtons(controls) {
+		if (!controls.tokens) return
+		controls.tokens.tools.dolmenTravel = {
+			name: 'dolmenTravel',
+			title: 'DOLMEN.Travel.Title',
+			icon: 'fas fa-route',
+			button: true,
+			order: Object.keys(controls.tokens.tools).length,
+			onChange: () => DolmenTravel.open()
+		}
+	}
+
+	/**
+	 * Take the party from the controlled tokens, or from the players' characters if none are selected.
+	 */
+	_useSelected() {
+		let actors = canvas.tokens?.controlled.map(t => t.actor) ?? []
+		if (actors.length === 0) actors = game.users.filter(u => !u.isGM && u.character).map(u => u.character)
+		this.party = [...new Set(actors.filter(a => a))]
+	}
+
+	async _prepareContext(options) {
+		const context = await super._prepareContext(options)
+		const plan = planTravel(this.party, this.travel)
+		const rules = CONFIG.DOLMENWOOD.travel
+
+		context.travel = this.travel
+		context.plan = plan
+		context.members = plan?.members.map(({ actor, travelPoints }) => ({
+			id: actor.id,
+			uuid: actor.uuid,
+			name: actor.name,
+			img: actor.img,
+			travelPoints,
+			isSlowest: actor === plan.slowest.actor
+		})) ?? []
+		context.terrainChoices = Object.fromEntries(Object.entries(rules.terrain).map(([key, cost]) => [
+			key,
+			game.i18n.format('DOLMEN.Travel.TerrainCost', { terrain: game.i18n.localize(`DOLMEN.Travel.Terrains.${key}`), cost })
+		]))
+		context.weatherChoices = buildChoices('DOLMEN.Travel.WeatherTypes', Object.keys(rules.weather))
+		context.isGM = game.user.isGM
+		return context
+	}
+
+	/**
+	 * Keep the travel conditions in sync with form edits.
+	 * @param {SubmitEvent|Event} event - The triggering event
+	 * @param {HTMLFormElement} form - The form element
+	 * @param {FormDataExtended} formData - The submitted data
+	 */
+	static async _onChangeForm(event, form, formData) {
+		foundry.utils.mergeObject(this.travel, formData.object)
+		this.render()
+	}
+
+	static _onUseSelected() {
+		this._useSelected()
+		this.render()
+	}
+
+	static _onRemoveMember(_event, target) {
+		const uuid = target.closest('[data-uuid]')?.dataset.uuid
+		this.party = this.party.filter(a => a.uuid !== uuid)
+		this.render()
+	}
+
+	static async _onLogJourney() {
+		const plan = planTravel(this.party, this.travel)
+		const message = await postJourneyLog(plan, { notes: this.travel.notes })
+		if (!message) return
+
+		this.travel.notes = ''
+		if (game.user.isGM && this.travel.advanceDay) await game.time.advance(CONFIG.DOLMENWOOD.calendar.secondsPerDay)
+		this.render()
+	}
+
+	static async _onMakeCamp() {
+		await makeCamp(this.party)
+		this.render()
+	}
+}
+
+export default DolmenTravel
@@ -0,0 +1,92 @@
+/* global game, canvas, ui, ChatMessage, CONST */
+
+/**
+ * Morale checks for groups of creatures and retainers, from the token HUD or a macro.
+ */
+
+/**
+ * Roll morale for several actors at once and post one chat card with each outcome.
+ * Actors that don't make morale checks (player characters) are skipped.
+ * @param {Actor[]} actors - The actors to check
+ * @param {object} [options] - Roll options
+ * @param {number} [options.modifier=0] - Situational modifier applied to every roll
+ * @returns {Promise<ChatMessage|undefined>} The created chat message
+ */
+export async function rollGroupMorale(actors, { modifier = 0 } = {}) {
+	const checked = actors.filter(a => a?.hasMorale)
+	if (checked.length === 0) {
+		ui.notifications.warn(game.i18n.localize('DOLMEN.Morale.NoActors'))
+		return
+	}
+
+	const rolls = []
+	let rows = ''
+	for (const actor of checked) {
+		const { roll, standsFirm } = await actor.evaluateMorale({ modifier })
+		rolls.push(roll)
+		const anchor = await roll.toAnchor({ classes: ['morale-inline-roll'] })
+		rows += `
+			<div class="group-result ${standsFirm ? 'success' : 'failure'}">
+				<img src="${actor.img}" alt="${actor.name}" class="actor-icon">
+				<span class="group-name">${actor.name}</span>
+				<span class="group-roll-result">${anchor.outerHTML}</span>
+				<span class="group-target">${game.i18n.format('DOLMEN.Morale.Target', { morale: actor.system.morale })}</span>
+				<span class="roll-label">${game.i18n.localize(standsFirm ? 'DOLMEN.Morale.StandsFirm' : 'DOLMEN.Morale.Flees')}</span>
+			</div>`
+	}
+
+	const content = `
+		<div class="dolmen check-roll group-roll morale-roll">
+			<div class="check-header">
+				<i class="fas fa-flag"></i>
+				<div class="check-info">
+					<h3>${game.i18n.localize('DOLMEN.Morale.GroupCheck')}</h3>
+					<span class="check-type">${game.i18n.format('DOLMEN.Morale.GroupCount', { count: checked.length })}</span>
+				</div>
+			</div>
+			<div class="group-results">${rows}</div>
+		</div>
+	`
+
+	return ChatMessage.create({
+		speaker: ChatMessage.getSpeaker(),
+		content,
+		rolls,
+		type: CONST.CHAT_MESSAGE_STYLES.OTHER
+	})
+}
+
+/**
+ * Roll morale for the controlled tokens: a single card for one token, a group card for several.
+ * Intended for macros (game.dolmenwood.rollMorale()).
+ * @returns {Promise<ChatMessage|undefined>} The created chat message
+ */
+export async function rollSelectedMorale() {
+	const actors = canvas.tokens.controlled.map(t => t.actor).filter(a => a)
+	if (actors.length === 1 && actors[0].hasMorale) return actors[0].rollMorale()
+	return rollGroupMorale(actors)
+}
+
+/**
+ * Add a morale button to the token HUD of creatures and retainers.
+ * @param {TokenHUD} hud - The token HUD application
+ * @param {HTMLElement} html - The rendered HUD element
+ */
+export function onRenderTokenHUD(hud, html) {
+	const actor = hud.object?.actor
+	if (!actor?.hasMorale || !actor.isOwner) return
+
+	const button = document.createElement('button')
+	button.type = 'button'
+	button.classList.add('control-icon', 'dolmen-morale')
+	button.dataset.tooltip = game.i18n.localize('DOLMEN.Morale.Check')
+	button.innerHTML = '<i class="fas fa-flag"></i>'
+	button.addEventListener('click', (event) => {
+		event.preventDefault()
+		// Roll for the whole selection when this token is part of a multi-token selection
+		if (hud.object.controlled && canvas.tokens.controlled.length > 1) return rollSelectedMorale()
+		return actor.rollMorale()
+	})
+
+	html.querySelector('.col.right')?.appendChild(button)
+}
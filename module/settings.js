@@ -0,0 +1,69 @@
+/* global game */
+
+/**
+ * Register system settings.
+ */
+export function registerSettings() {
+	game.settings.register('dolmenwood', 'blindSkillChecks', {
+		name: 'DOLMEN.Settings.BlindSkillChecks.Name',
+		hint: 'DOLMEN.Settings.BlindSkillChecks.Hint',
+		scope: 'world',
+		config: true,
+		type: Boolean,
+		default: false
+	})
+
+	game.settings.register('dolmenwood', 'creatureHitPoints', {
+		name: 'DOLMEN.Settings.CreatureHitPoints.Name',
+		hint: 'DOLMEN.Settings.CreatureHitPoints.Hint',
+		scope: 'world',
+		config: true,
+		type: String,
+		choices: {
+			roll: 'DOLMEN.Settings.CreatureHitPoints.Roll',
+			average: 'DOLMEN.Settings.CreatureHitPoints.Average',
+			keep: 'DOLMEN.Settings.CreatureHitPoints.Keep'
+		},
+		default: 'roll'
+	})
+
+	game.settings.register('dolmenwood', 'creationReroll', {
+		name: 'DOLMEN.Settings.CreationReroll.Name',
+		hint: 'DOLMEN.Settings.CreationReroll.Hint',
+		scope: 'world',
+		config: true,
+		type: Boolean,
+		default: true
+	})
+
+	game.settings.register('dolmenwood', 'creationSwap', {
+		name: 'DOLMEN.Settings.CreationSwap.Name',
+		hint: 'DOLMEN.Settings.CreationSwap.Hint',
+		scope: 'world',
+		config: true,
+		type: Boolean,
+		default: true
+	})
+
+	game.settings.register('dolmenwood', 'calendarStartYear', {
+		name: 'DOLMEN.Settings.CalendarStartYear.Name',
+		hint: 'DOLMEN.Settings.CalendarStartYear.Hint',
+		scope: 'world',
+		config: true,
+		type: Number,
+		default: 1000
+	})
+
+	game.settings.register('dolmenwood', 'initiativeMode', {
+		name: 'DOLMEN.Settings.InitiativeMode.Name',
+		hint: 'DOLMEN.Settings.InitiativeMode.Hint',
+		scope: 'world',
+		config: true,
+		type: String,
+		choices: {
+			group: 'DOLMEN.Settings.InitiativeMode.Group',
+			individual: 'DOLMEN.Settings.InitiativeMode.Individual'
+		},
+		default: 'group'
+	})
+}
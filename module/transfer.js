@@ -0,0 +1,204 @@
+/* global foundry, game, ui, Dialog, fromUuid */
+
+/**
+ * Moving items and coins between actors. Users who own both actors transfer directly;
+ * anyone else asks the game master, who approves the transfer over the system socket.
+ */
+
+const SOCKET = 'system.dolmenwood'
+
+/**
+ * Open a dialog asking how many of something to move.
+ * @param {object} config - Dialog configuration
+ * @param {string} config.title - The dialog title
+ * @param {string} config.label - The field label
+ * @param {number} config.max - The largest allowed quantity
+ * @param {number} [config.value] - The initial quantity (defaults to max)
+ * @param {string} [config.icon='fa-right-left'] - Font Awesome icon for the confirm button
+ * @returns {Promise<number|null>} The chosen quantity, or null if cancelled
+ */
+export function openQuantityDialog({ title, label, max, value = max, icon = 'fa-right-left' }) {
+	return new Promise(resolve => {
+		const content = `
+			<div class="modifier-modal-content">
+				<div class="form-group">
+					<label>${label}</label>
+					<input type="number" id="transfer-quantity" value="${value}" min="1" max="${max}" autofocus>
+				</div>
+			</div>
+		`
+
+		new Dialog({
+			title,
+			content,
+			buttons: {
+				confirm: {
+					icon: `<i class="fas ${icon}"></i>`,
+					label: title,
+					callback: (html) => resolve(Math.clamp(parseInt(html.find('#transfer-quantity').val()) || 0, 0, max) || null)
+				},
+				cancel: {
+					icon: '<i class="fas fa-times"></i>',
+					label: game.i18n.localize('DOLMEN.Cancel'),
+					callback: () => resolve(null)
+				}
+			},
+			default: 'confirm',
+			close: () => resolve(null)
+		}).render(true)
+	})
+}
+
+/**
+ * Move an item (or part of a stack) from its owning actor to another actor.
+ * @param {Item} item - The item to move
+ * @param {Actor} target - The receiving actor
+ * @param {object} [options] - Transfer options
+ * @param {number} [options.quantity] - How many to move (defaults to the whole stack)
+ * @param {boolean} [options.equipped=false] - Whether the receiver equips the item
+ * @returns {Promise<boolean>} Whether the transfer was made (or sent for approval)
+ */
+export async function transferItem(item, target, { quantity, equipped = false } = {}) {
+	const source = item.parent
+	if (!source || source === target) return false
+	quantity = Math.clamp(quantity ?? item.system.quantity ?? 1, 1, item.system.quantity || 1)
+
+	if (source.isOwner && target.isOwner) {
+		await performItemTransfer(item, target, quantity, equipped)
+		return true
+	}
+	return requestTransfer({ type: 'item', sourceUuid: source.uuid, itemId: item.id, targetUuid: target.uuid, quantity, equipped })
+}
+
+/**
+ * Move coins from one actor to another.
+ * @param {Actor} source - The giving actor
+ * @param {Actor} target - The receiving actor
+ * @param {object} coins - Amounts by denomination (e.g. { gold: 10 })
+ * @returns {Promise<boolean>} Whether the transfer was made (or sent for approval)
+ */
+export async function transferCoins(source, target, coins) {
+	if (!source || source === target) return false
+
+	if (source.isOwner && target.isOwner) {
+		await performCoinTransfer(source, target, coins)
+		return true
+	}
+	return requestTransfer({ type: 'coins', sourceUuid: source.uuid, targetUuid: target.uuid, coins })
+}
+
+/**
+ * Move an item between actors, stacking it onto a matching item of the receiver.
+ * @param {Item} item - The item to move
+ * @param {Actor} target - The receiving actor
+ * @param {number} quantity - How many to move, clamped to the size of the stack
+ * @param {boolean} equipped - Whether the receiver equips the item
+ */
+async function performItemTransfer(item, target, quantity, equipped) {
+	// Requests come over the socket, so never trust the quantity to fit the stack
+	quantity = Math.clamp(Number(quantity) || 1, 1, item.system.quantity || 1)
+	const itemData = item.toObject()
+	delete itemData._id
+	itemData.system.quantity = quantity
+	itemData.system.equipped = equipped
+	await target.addItemStack(itemData)
+
+	if (quantity >= (item.system.quantity || 1)) await item.delete()
+	else await item.update({ 'system.quantity': item.system.quantity - quantity })
+}
+
+/**
+ * Move coins between actors, never taking more than the giver has.
+ * @param {Actor} source - The giving actor
+ * @param {Actor} target - The receiving actor
+ * @param {object} coins - Amounts by denomination
+ */
+async function performCoinTransfer(source, target, coins) {
+	const sourceUpdate = {}
+	const targetUpdate = {}
+	for (const [denomination, amount] of Object.entries(coins)) {
+		const available = source.system.coins?.[denomination] ?? 0
+		const moved = Math.clamp(amount, 0, available)
+		if (!moved || target.system.coins?.[denomination] === undefined) continue
+		sourceUpdate[`system.coins.${denomination}`] = available - moved
+		targetUpdate[`system.coins.${denomination}`] = target.system.coins[denomination] + moved
+	}
+	if (foundry.utils.isEmpty(sourceUpdate)) return
+	await source.update(sourceUpdate)
+	await target.update(targetUpdate)
+}
+
+/**
+ * Ask the active game master to make a transfer the current user isn't allowed to make.
+ * @param {object} request - The transfer request
+ * @returns {boolean} Whether the request was sent
+ */
+function requestTransfer(request) {
+	if (!game.users.activeGM) {
+		ui.notifications.warn(game.i18n.localize('DOLMEN.Transfer.NoGM'))
+		return false
+	}
+	game.socket.emit(SOCKET, { action: 'requestTransfer', userId: game.user.id, request })
+	ui.notifications.info(game.i18n.localize('DOLMEN.Transfer.Requested'))
+	return true
+}
+
+/**
+ * Describe a transfer request for the approval dialog.
+ * @param {object} request - The transfer request
+ * @param {Actor} source - The giving actor
+ * @param {Actor} target - The receiving actor
+ * @param {Item} [item] - The item being moved
+ * @returns {string} The description
+ */
+function describeTransfer(request, source, target, item) {
+	const what = request.type === 'item'
+		? `${request.quantity} × ${item.name}`
+		: Object.entries(request.coins)
+			.filter(([, amount]) => amount > 0)
+			.map(([denomination, amount]) => `${amount} ${game.i18n.localize(`DOLMEN.Coins.${denomination.capitalize()}`)}`)
+			.join(', ')
+	return game.i18n.format('DOLMEN.Transfer.Describe', { what, source: source.name, target: target.name })
+}
+
+/**
+ * Let the game master approve or refuse a player's transfer request, then make it.
+ * @param {string} userId - The requesting user
+ * @param {object} request - The transfer request
+ */
+async function handleTransferRequest(userId, request) {
+	const source = await fromUuid(request.sourceUuid)
+	const target = await fromUuid(request.targetUuid)
+	const item = request.type === 'item' ? source?.items.get(request.itemId) : null
+	if (!source || !target || (request.type === 'item' && !item)) return
+
+	// The requester must own the giving actor; otherwise refuse without asking the GM
+	const user = game.users.get(userId)
+	if (!user || !source.testUserPermission(user, 'OWNER')) {
+		game.socket.emit(SOCKET, { action: 'transferResult', userId, approved: false })
+		return
+	}
+
+	const approved = await Dialog.confirm({
+		title: game.i18n.localize('DOLMEN.Transfer.ApproveTitle'),
+		content: `<p>${game.i18n.format('DOLMEN.Transfer.ApproveContent', { user: user.name, transfer: describeTransfer(request, source, target, item) })}</p>`
+	})
+
+	if (approved) {
+		if (request.type === 'item') await performItemTransfer(item, target, request.quantity, request.equipped)
+		else await performCoinTransfer(source, target, request.coins)
+	}
+	game.socket.emit(SOCKET, { action: 'transferResult', userId, approved })
+}
+
+/**
+ * Listen for transfer requests (as the active game master) and their results (as the requester).
+ */
+export function registerTransferSocket() {
+	game.socket.on(SOCKET, ({ action, userId, request, approved }) => {
+		if (action === 'requestTransfer' && game.users.activeGM?.isSelf) return handleTransferRequest(userId, request)
+		if (action === 'transferResult' && userId === game.user.id) {
+			ui.notifications[approved ? 'info' : 'warn'](game.i18n.localize(approved ? 'DOLMEN.Transfer.Approved' : 'DOLMEN.Transfer.Refused'))
+		}
+	})
+}
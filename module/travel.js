@@ -0,0 +1,86 @@
+/* global game, CONFIG, ChatMessage, CONST, ui */
+import { getDate, formatDate } from './calendar.js'
+
+/**
+ * Overland travel for a party: travel points for the day, hexes crossed and the journey log.
+ */
+
+/**
+ * Work out how far a party can travel today. The slowest member sets the pace,
+ * weather scales the party's travel points, and the terrain sets the cost per hex.
+ * @param {Actor[]} actors - The travelling party
+ * @param {object} [options] - Travel conditions
+ * @param {string} [options.terrain='openForest'] - Terrain key from CONFIG.DOLMENWOOD.travel.terrain
+ * @param {string} [options.weather='fair'] - Weather key from CONFIG.DOLMENWOOD.travel.weather
+ * @returns {object|null} The travel plan, or null if the party is empty
+ */
+export function planTravel(actors, { terrain = 'openForest', weather = 'fair' } = {}) {
+	const rules = CONFIG.DOLMENWOOD.travel
+	const members = [...new Set(actors.filter(a => a))]
+		.map(actor => ({ actor, travelPoints: actor.getTravelPoints() }))
+		.sort((a, b) => a.travelPoints - b.travelPoints)
+	if (members.length === 0) return null
+
+	const slowest = members[0]
+	const cost = rules.terrain[terrain] ?? rules.terrain.openForest
+	const travelPoints = Math.floor(slowest.travelPoints * (rules.weather[weather] ?? 1))
+	const hexes = Math.floor(travelPoints / cost)
+	return {
+		members,
+		slowest,
+		terrain,
+		weather,
+		cost,
+		travelPoints,
+		hexes,
+		remaining: travelPoints - hexes * cost
+	}
+}
+
+/**
+ * Post a journey log entry for a day of travel to chat.
+ * @param {object} plan - A travel plan from planTravel()
+ * @param {object} [options] - Log options
+ * @param {string} [options.notes=''] - Free text describing the route or events
+ * @returns {Promise<ChatMessage|undefined>} The created chat message
+ */
+export async function postJourneyLog(plan, { notes = '' } = {}) {
+	if (!plan) {
+		ui.notifications.warn(game.i18n.localize('DOLMEN.Travel.NoParty'))
+		return
+	}
+
+	const rows = plan.members.map(({ actor, travelPoints }) => `
+		<div class="group-result ${actor === plan.slowest.actor ? 'slowest' : ''}">
+			<img src="${actor.img}" alt="${actor.name}" class="actor-icon">
+			<span class="group-name">${actor.name}</span>
+			<span class="group-target">${game.i18n.format('DOLMEN.Travel.PointsShort', { points: travelPoints })}</span>
+		</div>`).join('')
+
+	const content = `
+		<div class="dolmen check-roll group-roll travel-log">
+			<div class="check-header">
+				<i class="fas fa-route"></i>
+				<div class="check-info">
+					<h3>${game.i18n.localize('DOLMEN.Travel.JourneyLog')}</h3>
+					<span class="check-type">${formatDate(getDate())}</span>
+				</div>
+			</div>
+			<div class="travel-summary">
+				<div><label>${game.i18n.localize('DOLMEN.Travel.Terrain')}</label><span>${game.i18n.format('DOLMEN.Travel.TerrainCost', { terrain: game.i18n.localize(`DOLMEN.Travel.Terrains.${plan.terrain}`), cost: plan.cost })}</span></div>
+				<div><label>${game.i18n.localize('DOLMEN.Travel.Weather')}</label><span>${game.i18n.localize(`DOLMEN.Travel.WeatherTypes.${plan.weather}`)}</span></div>
+				<div><label>${game.i18n.localize('DOLMEN.Travel.TravelPoints')}</label><span>${plan.travelPoints}</span></div>
+				<div class="travel-hexes"><label>${game.i18n.localize('DOLMEN.Travel.Hexes')}</label><span>${plan.hexes}</span></div>
+				<div><label>${game.i18n.localize('DOLMEN.Travel.Remaining')}</label><span>${plan.remaining}</span></div>
+			</div>
+			${notes ? `<p class="travel-notes">${notes}</p>` : ''}
+			<div class="group-results">${rows}</div>
+		</div>
+	`
+
+	return ChatMessage.create({
+		speaker: ChatMessage.getSpeaker(),
+		content,
+		type: CONST.CHAT_MESSAGE_STYLES.OTHER
+	})
+}
@@ -62,6 +62,9 @@ export const CHOICE_KEYS = {
 	creatureTypes: ['mortal', 'demi-fey', 'fairy'],
 	sizes: ['small', 'medium', 'large'],
 	armorBulks: ['none', 'light', 'medium', 'heavy'],
-	foragedTypes: ['plant', 'fungus', 'pipeleaf'],
-	spellTypes: ['arcane', 'glamour', 'rune', 'holy', 'knack']
+	foragedTypes: ['plant', 'fungus', 'pipeleaf', 'game', 'fish'],
+	provisions: ['none', 'food', 'water'],
+	spellTypes: ['arcane', 'glamour', 'rune', 'holy', 'knack'],
+	saves: ['doom', 'ray', 'hold', 'blast', 'spell'],
+	intelligences: ['mindless', 'animal', 'semi-intelligent', 'sentient', 'genius']
 }
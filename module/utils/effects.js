@@ -0,0 +1,70 @@
+/* global game, Dialog */
+
+/**
+ * Utility functions for listing and managing Active Effects on actor and item sheets.
+ */
+
+/**
+ * Prepare effects for display in a sheet list.
+ * @param {Iterable<ActiveEffect>} effects - The effects to list
+ * @returns {object[]} Display data for each effect
+ */
+export function prepareEffectList(effects) {
+	return Array.from(effects, effect => {
+		const fromItem = effect.parent?.documentName === 'Item'
+		const parentActor = effect.parent?.parent
+		return {
+			id: effect.id,
+			// Effects transferred from an actor's item need the item id to be found again
+			parentId: fromItem && parentActor ? effect.parent.id : '',
+			name: effect.name,
+			img: effect.img,
+			source: fromItem && parentActor ? effect.parent.name : '',
+			duration: effect.duration.label,
+			disabled: effect.disabled,
+			suppressed: effect.isSuppressed,
+			cssClass: effect.disabled || effect.isSuppressed ? 'inactive' : ''
+		}
+	})
+}
+
+/**
+ * Find the effect referenced by a list row.
+ * @param {Actor|Item} owner - The document whose sheet holds the list
+ * @param {HTMLElement} target - An element inside the effect row
+ * @returns {ActiveEffect|undefined} The effect, if found
+ */
+export function getEffectFromTarget(owner, target) {
+	const { effectId, parentId } = target.closest('[data-effect-id]')?.dataset ?? {}
+	const parent = parentId ? owner.items?.get(parentId) : owner
+	return parent?.effects.get(effectId)
+}
+
+/**
+ * Create a new effect on a document and open its editor.
+ * Effects created on items transfer to the owning actor.
+ * @param {Actor|Item} parent - The document to create the effect on
+ * @returns {Promise<ActiveEffect>} The created effect
+ */
+export async function createEffect(parent) {
+	const [effect] = await parent.createEmbeddedDocuments('ActiveEffect', [{
+		name: game.i18n.localize('DOLMEN.Effects.New'),
+		img: 'icons/svg/aura.svg',
+		origin: parent.uuid,
+		transfer: parent.documentName === 'Item'
+	}])
+	effect?.sheet.render(true)
+	return effect
+}
+
+/**
+ * Delete an effect after confirmation.
+ * @param {ActiveEffect} effect - The effect to delete
+ */
+export async function deleteEffect(effect) {
+	const confirmed = await Dialog.confirm({
+		title: game.i18n.localize('DOLMEN.Effects.DeleteConfirmTitle'),
+		content: game.i18n.format('DOLMEN.Inventory.DeleteConfirmContent', { name: effect.name })
+	})
+	if (confirmed) await effect.delete()
+}
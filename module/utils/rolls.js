@@ -0,0 +1,110 @@
+/* global game, Dialog */
+
+/**
+ * Utility functions shared by the actor roll methods (saves, skills, checks).
+ */
+
+/**
+ * Build a roll formula from a base die and a list of flat modifiers.
+ * Zero modifiers are dropped and negative ones are written with a minus sign.
+ * @param {string} die - The base dice term (e.g., '1d20')
+ * @param {number[]} modifiers - Flat modifiers to append
+ * @returns {string} Roll formula like "1d20 + 2 - 1"
+ */
+export function buildFormula(die, modifiers = []) {
+	let formula = die
+	for (const mod of modifiers) {
+		if (!mod) continue
+		formula += mod > 0 ? ` + ${mod}` : ` - ${Math.abs(mod)}`
+	}
+	return formula
+}
+
+/**
+ * Write a modifier with an explicit sign.
+ * @param {number} mod - The modifier
+ * @returns {string} Signed modifier like "+2", "+0" or "-1"
+ */
+export function formatModifier(mod) {
+	return mod >= 0 ? `+${mod}` : `${mod}`
+}
+
+/**
+ * Open a dialog asking for a situational modifier.
+ * @param {string} title - The dialog title
+ * @returns {Promise<number|null>} The entered modifier, or null if cancelled
+ */
+export function openModifierDialog(title) {
+	return new Promise(resolve => {
+		const content = `
+			<div class="modifier-modal-content">
+				<div class="form-group">
+					<label>${game.i18n.localize('DOLMEN.Roll.Modifier')}</label>
+					<input type="number" id="roll-modifier" value="0" autofocus>
+				</div>
+			</div>
+		`
+
+		new Dialog({
+			title,
+			content,
+			buttons: {
+				roll: {
+					icon: '<i class="fas fa-dice-d20"></i>',
+					label: game.i18n.localize('DOLMEN.Roll.Roll'),
+					callback: (html) => resolve(parseInt(html.find('#roll-modifier').val()) || 0)
+				},
+				cancel: {
+					icon: '<i class="fas fa-times"></i>',
+					label: game.i18n.localize('DOLMEN.Cancel'),
+					callback: () => resolve(null)
+				}
+			},
+			default: 'roll',
+			close: () => resolve(null)
+		}).render(true)
+	})
+}
+
+/**
+ * Build chat message HTML for a roll checked against a target number.
+ * @param {object} config - Configuration object
+ * @param {Actor} config.actor - The rolling actor
+ * @param {string} config.title - Card title (e.g., the save name)
+ * @param {string} config.subtitle - Card subtitle (e.g., "Saving Throw")
+ * @param {HTMLElement} config.anchor - Inline roll anchor for the evaluated roll
+ * @param {string} config.formula - The roll formula
+ * @param {number} config.target - The target number
+ * @param {boolean} config.success - Whether the roll succeeded
+ * @param {string} [config.cssClass] - Extra class for the card (e.g., 'save-roll')
+ * @param {string} [config.notes] - Extra HTML shown below the result
+ * @param {string} [config.resultLabel] - Outcome label (defaults to Success / Failure)
+ * @param {string} [config.targetLabel] - Target label (defaults to "Target N")
+ * @returns {string} HTML content for the chat message
+ */
+export function buildCheckChatHtml({ actor, title, subtitle, anchor, formula, target, success, cssClass = '', notes = '', resultLabel, targetLabel }) {
+	const resultClass = success ? 'success' : 'failure'
+	resultLabel ??= game.i18n.localize(success ? 'DOLMEN.Roll.Success' : 'DOLMEN.Roll.Failure')
+	targetLabel ??= game.i18n.format('DOLMEN.Roll.Target', { target })
+
+	return `
+		<div class="dolmen check-roll ${cssClass}">
+			<div class="check-header">
+				<img src="${actor.img}" alt="${actor.name}" class="actor-icon">
+				<div class="check-info">
+					<h3>${title}</h3>
+					<span class="check-type">${subtitle}</span>
+				</div>
+			</div>
+			<div class="check-result ${resultClass}">
+				<div class="roll-result">
+					${anchor.outerHTML}
+					<span class="roll-label">${resultLabel}</span>
+				</div>
+				<span class="check-target">${targetLabel}</span>
+				<span class="roll-breakdown">${formula}</span>
+				${notes}
+			</div>
+		</div>
+	`
+}